@@ -1,80 +1,341 @@
-import { world, system } from "@minecraft/server"
+import { world, system, BlockTypes, CommandPermissionLevel, CustomCommandParamType, Direction } from "@minecraft/server"
 
 world.afterEvents.entitySpawn.subscribe(ev => {
     if (!MachineRegistry.has(ev.entity.typeId)) return;
-    let cleanLoc = {x: Math.floor(ev.entity.location.x), y: Math.floor(ev.entity.location.y), z: Math.floor(ev.entity.location.z)}
-    new Machine(ev.entity.typeId, cleanLoc, ev.entity.dimension.id)
-    ev.entity.setDynamicProperty("spawn_location", cleanLoc)
+    Machine.createForEntity(ev.entity)
+})
+
+world.afterEvents.entityLoad.subscribe(ev => {
+    if (!MachineRegistry.has(ev.entity.typeId)) return;
+    Machine.createForEntity(ev.entity)
 })
 
 world.afterEvents.entityDie.subscribe(ev => {
     if (!MachineRegistry.has(ev.deadEntity.typeId)) return;
-    let loc = ev.deadEntity.getDynamicProperty("spawn_location")
-    let id = Machine.findIdByLocation(loc, ev.deadEntity.dimension.id)
-    if(id){
-        Machine.deleteId(id)
+    let machine = Machine.fromEntity(ev.deadEntity)
+    if(machine){
+        machine.delete()
     }
 })
 
+// Also fires when the entity's chunk unloads, so only delete the machine
+// if the chunk is still loaded on the next tick
+world.beforeEvents.entityRemove.subscribe(ev => {
+    const entity = ev.removedEntity;
+    if (!MachineRegistry.has(entity.typeId)) return;
+    const id = entity.getDynamicProperty("machine_id");
+    if (typeof id !== "string") return;
+    const dimension = entity.dimension;
+    const loc = floorLocation(entity.location);
+
+    system.run(() => {
+        let loaded = false;
+        try {
+            loaded = dimension.getBlock(loc) !== undefined;
+        } catch {}
+        if (loaded) {
+            Machine.deleteId(id);
+            return;
+        }
+        const suspendedAt = Storage.read(`machine:${id}`)?.suspendedAt ?? world.getAbsoluteTime();
+        updateRecord(id, { x: loc.x, y: loc.y, z: loc.z, dimension: DimensionRegistry.toNumber(dimension.id), suspendedAt });
+        Machine.cache.delete(`entity:${id}`);
+    })
+})
+
 world.afterEvents.playerPlaceBlock.subscribe(ev => {
-    if (!MachineRegistry.has(ev.block.typeId)) return;
-    new Machine(ev.block.typeId, {x: ev.block.x, y: ev.block.y, z: ev.block.z}, ev.block.dimension.id)
+    const isMachine = MachineRegistry.has(ev.block.typeId);
+    if (!isMachine && !MachineRegistry.isConduit(ev.block.typeId)) return;
+    const loc = {x: ev.block.x, y: ev.block.y, z: ev.block.z};
+    if (isMachine) new Machine(ev.block.typeId, loc, ev.block.dimension.id)
+    ConduitNetworks.refresh(ev.block.dimension, loc)
 });
 
 world.afterEvents.playerBreakBlock.subscribe(ev => {
-    if (!MachineRegistry.has(ev.brokenBlockPermutation.type.id)) return;
-    let id = Machine.findIdByLocation({x: ev.block.x, y: ev.block.y, z: ev.block.z}, ev.dimension.id);
-    if(id){
-        Machine.deleteId(id)
+    const typeId = ev.brokenBlockPermutation.type.id;
+    const isMachine = MachineRegistry.has(typeId);
+    if (!isMachine && !MachineRegistry.isConduit(typeId)) return;
+    const loc = {x: ev.block.x, y: ev.block.y, z: ev.block.z};
+    if (isMachine) {
+        let id = Machine.findIdByLocation(loc, ev.dimension.id);
+        if(id){
+            Machine.deleteId(id)
+        }
+    }
+    ConduitNetworks.refresh(ev.dimension, loc)
+});
+
+// Blocks destroyed by explosions this tick, their networks are rebuilt together on the next tick
+const explodedBlocks = new Map();
+
+world.afterEvents.blockExplode.subscribe(ev => {
+    const typeId = ev.explodedBlockPermutation.type.id;
+    const isMachine = MachineRegistry.has(typeId);
+    if (!isMachine && !MachineRegistry.isConduit(typeId)) return;
+    const loc = {x: ev.block.x, y: ev.block.y, z: ev.block.z};
+    if (isMachine) {
+        let id = Machine.findIdByLocation(loc, ev.dimension.id);
+        if(id){
+            Machine.deleteId(id)
+        }
+    }
+    if (!explodedBlocks.size) system.run(refreshExploded);
+    explodedBlocks.set(`${ev.dimension.id}:${loc.x}:${loc.y}:${loc.z}`, { dimension: ev.dimension, loc });
+});
+
+/**
+ * Rebuilds the networks around every block an explosion destroyed since the last call
+ */
+function refreshExploded() {
+    const blocks = [...explodedBlocks.values()];
+    explodedBlocks.clear();
+    for (const { dimension, loc } of blocks) ConduitNetworks.refresh(dimension, loc);
+}
+
+// Moves machine records along with the blocks a piston pushes or pulls
+world.afterEvents.pistonActivate.subscribe(ev => {
+    const origin = {x: ev.block.x, y: ev.block.y, z: ev.block.z};
+    const attached = ev.piston.getAttachedBlocksLocations();
+    if (!attached.length) return;
+
+    // The attached block closest to the piston is always in line with it
+    let nearest = attached[0];
+    const distance = loc => Math.abs(loc.x - origin.x) + Math.abs(loc.y - origin.y) + Math.abs(loc.z - origin.z);
+    for (const loc of attached) {
+        if (distance(loc) < distance(nearest)) nearest = loc;
     }
+    const sign = ev.isExpanding ? 1 : -1;
+    const step = {
+        x: Math.sign(nearest.x - origin.x) * sign,
+        y: Math.sign(nearest.y - origin.y) * sign,
+        z: Math.sign(nearest.z - origin.z) * sign
+    };
+
+    // Move the front blocks first so no machine moves onto one that has not moved yet
+    const moves = [];
+    for (const loc of attached) {
+        const id = Machine.findIdByLocation(loc, ev.dimension.id);
+        if (id) moves.push({ id, loc });
+    }
+    const ahead = loc => loc.x * step.x + loc.y * step.y + loc.z * step.z;
+    moves.sort((a, b) => ahead(b.loc) - ahead(a.loc));
+    for (const { id, loc } of moves) {
+        Machine.reconstructFromId(id)?.moveTo({x: loc.x + step.x, y: loc.y + step.y, z: loc.z + step.z});
+    }
+
+    // Rebuild networks once the blocks have finished moving
+    const dimension = ev.dimension;
+    system.runTimeout(() => {
+        for (const loc of attached) {
+            ConduitNetworks.refresh(dimension, loc);
+            ConduitNetworks.refresh(dimension, {x: loc.x + step.x, y: loc.y + step.y, z: loc.z + step.z});
+        }
+    }, 3);
+});
+
+system.beforeEvents.startup.subscribe(ev => {
+    registerAdminCommands(ev.customCommandRegistry)
+});
+
+// Save pending changes before the world closes or scripts reload
+system.beforeEvents.shutdown.subscribe(() => {
+    Storage.flush();
+});
+
+world.beforeEvents.playerLeave.subscribe(() => {
+    if (world.getAllPlayers().length <= 1) Storage.flush();
 });
 
 /**
  * Handles energy transfer and machine functionality 
+ * Each tick a short system job works through the current cycle until the tick budget
+ * is spent, then ends, and a timeout picks the cycle up again next tick
+ * A cycle over every loaded machine starts each interval
  */
 export const EnergySystem = (() => {
-    let loopGenerator = null;
     let running = false;
+    let jobId = null;
+    let timeoutId = null;
+    let cycle = null;
+    let cycleStart = 0;
+    let cycleWork = 0;
     let intervalTicks = 10;
+    let tickBudget = 4;
+    let catchUpLimit = 600;
+    let rotation = 0;
+    const metrics = { cycles: 0, machines: 0, cycleTicks: 0, cycleMs: 0, machinesPerTick: 0, backlog: 0 };
+
+    /**
+     * Steps through one cycle, yielding after each unit of work
+     */
+    function* cycleSteps() {
+        cycleStart = system.currentTick;
+        const machines = Array.from(Machine.cache.values());
+        // Start each cycle one machine further along so no machine is always served last
+        const offset = machines.length ? rotation++ % machines.length : 0;
+        metrics.backlog = machines.length;
+
+        for (let i = 0; i < machines.length; i++) {
+            const machine = machines[(offset + i) % machines.length];
+
+            // Machines in unloaded chunks wait, and catch up together once they load
+            if (!machine.isLoaded()) {
+                suspend(machine);
+            } else if (machine.suspendedAt !== null) {
+                yield* catchUp();
+            } else {
+                runCycle(machine);
+            }
+            metrics.backlog = machines.length - i - 1;
+            yield;
+        }
 
-    function* energyLoop() {
-        while (true) {
-            const machines = Array.from(Machine.cache.values());
+        EnergyStats.endCycle();
+        const cycleTicks = system.currentTick - cycleStart + 1;
+        Object.assign(metrics, {
+            cycles: metrics.cycles + 1,
+            machines: machines.length,
+            cycleTicks,
+            machinesPerTick: machines.length / cycleTicks,
+            backlog: 0
+        });
+    }
 
-            for (let i = 0; i < machines.length; i++) {
-                const machine = machines[i];
-                if (!machine) continue;
+    /**
+     * Begins a new cycle
+     */
+    function startCycle() {
+        timeoutId = null;
+        cycleWork = 0;
+        cycle = cycleSteps();
+        jobId = system.runJob(runSlice());
+    }
 
-                machine.transferToLinkedMachines()
-                if (i % 25 === 0) yield;
+    /**
+     * Works on the current cycle until this tick's budget is spent
+     * At least one step runs every tick, however long it takes
+     */
+    function* runSlice() {
+        const current = cycle;
+        const sliceStart = Date.now();
+        do {
+            const stepStart = Date.now();
+            const { done } = current.next();
+            cycleWork += Date.now() - stepStart;
+            // A callback stopped or restarted the loop during this step
+            if (cycle !== current) return;
+            if (done) {
+                metrics.cycleMs = cycleWork;
+                cycle = null;
+                jobId = null;
+                const wait = cycleStart + intervalTicks - system.currentTick;
+                timeoutId = system.runTimeout(startCycle, Math.max(1, wait));
+                return;
             }
-
             yield;
+        } while (Date.now() - sliceStart < tickBudget);
+        jobId = null;
+        timeoutId = system.runTimeout(() => {
+            timeoutId = null;
+            jobId = system.runJob(runSlice());
+        }, 1);
+    }
+
+    /**
+     * Runs one cycle of a machine
+     * @param {Machine} machine - Machine to run
+     * @param {boolean} [offline=false] - Catch-up cycles pay run costs without calling tick callbacks
+     */
+    function runCycle(machine, offline = false) {
+        const role = machine.getRole();
+        if (role === MachineRole.GENERATOR) machine.generate();
+        if (!machine.idle) machine.convert();
+        if (!offline) machine.tick();
+        else if (!machine.idle && MachineRegistry.tickHandlers.has(machine.typeId)) runCosts(machine);
+        if (role !== MachineRole.CONSUMER && role !== MachineRole.TRANSMITTER) {
+            for (const resource of machine.getResources()) machine.transferToLinkedMachines(resource);
+        }
+    }
+
+    /**
+     * Marks a machine as suspended from the current tick
+     * @param {Machine} machine - Machine whose chunk is not loaded
+     */
+    function suspend(machine) {
+        if (machine.suspendedAt !== null) return;
+        machine.suspendedAt = world.getAbsoluteTime();
+        updateRecord(machine.id, { suspendedAt: machine.suspendedAt });
+        MachineEvents.machineSuspended.fire({ machine });
+    }
+
+    /**
+     * Resumes every suspended machine that is loaded again
+     * Each runs the cycles it missed, up to the catch-up limit, and only exchanges energy with the others resuming
+     * suspendedAt moves forward with every cycle applied, so a catch-up cut short by stop is not replayed
+     */
+    function* catchUp() {
+        const now = world.getAbsoluteTime();
+        const group = [];
+        for (const machine of Machine.cache.values()) {
+            if (machine.suspendedAt === null || !machine.isLoaded()) continue;
+            const missed = Math.floor(Math.max(0, now - machine.suspendedAt) / intervalTicks);
+            const cycles = Math.min(missed, catchUpLimit);
+            // Cycles past the limit are dropped here rather than at the end
+            machine.suspendedAt = now - cycles * intervalTicks;
+            updateRecord(machine.id, { suspendedAt: machine.suspendedAt });
+            group.push({ machine, cycles });
+        }
+
+        const longest = Math.max(0, ...group.map(entry => entry.cycles));
+        catchUpGroup = new Set(group.map(entry => entry.machine.id));
+        try {
+            for (let remaining = longest; remaining > 0; remaining--) {
+                for (const { machine, cycles } of group) {
+                    if (cycles < remaining) continue;
+                    runCycle(machine, true);
+                    machine.suspendedAt += intervalTicks;
+                    updateRecord(machine.id, { suspendedAt: machine.suspendedAt });
+                    yield;
+                }
+            }
+        } finally {
+            catchUpGroup = null;
+        }
+
+        for (const { machine, cycles } of group) {
+            machine.suspendedAt = null;
+            updateRecord(machine.id, { suspendedAt: undefined });
+            MachineEvents.machineResumed.fire({ machine, cycles });
         }
     }
 
     /**
      * Starts the network loop
+     * Does nothing if it is already running
      * @param {Number} ticks - Update interval in ticks
-     * @returns 
      */
     function start(ticks = 10) {
         if (running) return;
-        intervalTicks = ticks;
-        loopGenerator = energyLoop();
         running = true;
-
-        system.runInterval(() => {
-            if (!running || !loopGenerator) return;
-            loopGenerator.next();
-        }, intervalTicks);
+        setInterval(ticks);
+        Machine.loadAll();
+        startCycle();
     }
 
     /**
      * Stops the network loop
+     * A cycle in progress is dropped, start begins a new one
      */
     function stop() {
+        if (!running) return;
         running = false;
+        if (jobId !== null) system.clearJob(jobId);
+        if (timeoutId !== null) system.clearRun(timeoutId);
+        jobId = null;
+        timeoutId = null;
+        cycle = null;
+        catchUpGroup = null;
+        metrics.backlog = 0;
     }
 
     /**
@@ -85,20 +346,291 @@ export const EnergySystem = (() => {
         return running;
     }
 
+    /**
+     * Sets how long the loop may run each tick
+     * @param {Number} ms - Milliseconds per tick
+     */
+    function setTickBudget(ms) {
+        if (typeof ms !== "number" || !Number.isFinite(ms) || ms <= 0) throw new Error(`Invalid tick budget: ${ms}`);
+        tickBudget = ms;
+    }
+
+    /**
+     * Gets the loop's metrics
+     * cycleTicks, cycleMs, machines and machinesPerTick describe the last finished cycle,
+     * backlog is how many machines the current cycle has left
+     * @returns {{cycles: number, machines: number, cycleTicks: number, cycleMs: number, machinesPerTick: number, backlog: number}} Metrics
+     */
+    function getMetrics() {
+        return { ...metrics };
+    }
+
+    /**
+     * Sets how many missed cycles a machine catches up on when its chunk loads again
+     * @param {Number} cycles - Most cycles to catch up, 0 to skip offline progress
+     */
+    function setCatchUpLimit(cycles) {
+        if (!Number.isInteger(cycles) || cycles < 0) throw new Error(`Invalid catch-up limit: ${cycles}`);
+        catchUpLimit = cycles;
+    }
+
     /**
      * Changes the network loop interval
+     * Takes effect from the next cycle, the running loop is kept
      * @param {Number} ticks - New interval in ticks
      */
     function setInterval(ticks) {
         if (typeof ticks === "number" && ticks > 0) {
             intervalTicks = ticks;
-            if (running) stop(), start(intervalTicks);
         }
     }
 
-    return { start, stop, isRunning, setInterval };
+    return { start, stop, isRunning, setInterval, setCatchUpLimit, setTickBudget, getMetrics };
+})();
+
+/**
+ * Maps dimension IDs to the numbers stored with each machine.
+ * Vanilla dimensions keep their fixed numbers,
+ * any other dimension ID is assigned the next free number and saved.
+ */
+export const DimensionRegistry = (() => {
+    const builtIn = {
+        "minecraft:overworld": 0,
+        "minecraft:nether": 1,
+        "minecraft:the_end": 2
+    };
+    let ids = null;
+
+    function load() {
+        if (!ids) ids = Object.assign({}, builtIn, Storage.read("dimensions") ?? {});
+        return ids;
+    }
+
+    /**
+     * Gets the number for a dimension, registering unknown IDs
+     * @param {String|Number|Dimension} dim - Dimension ID, number or Dimension object
+     * @returns {Number} Dimension number
+     */
+    function toNumber(dim) {
+        if (typeof dim === "number") return dim;
+        if (dim && typeof dim === "object") dim = dim.id;
+        if (typeof dim !== "string") throw new Error(`Invalid dimension: ${dim}`);
+
+        const key = dim.toLowerCase();
+        const map = load();
+        if (map[key] === undefined) {
+            map[key] = Math.max(...Object.values(map)) + 1;
+            Storage.write("dimensions", map);
+        }
+        return map[key];
+    }
+
+    /**
+     * Gets the dimension ID for a number
+     * @param {Number|String} dim - Dimension number or ID
+     * @returns {String|undefined} Dimension ID or undefined if unknown
+     */
+    function toId(dim) {
+        if (typeof dim === "string") return dim.toLowerCase();
+        return Object.keys(load()).find(key => ids[key] === dim);
+    }
+
+    return { toNumber, toId };
 })();
 
+/**
+ * Ways a machine can split its transferRate between linked machines
+ * PRIORITY fills the highest priority links first,
+ * ROUND_ROBIN splits evenly and rotates which link is offered leftovers first,
+ * PROPORTIONAL splits by priority weight.
+ */
+export const DistributionMode = Object.freeze({
+    PRIORITY: "priority",
+    ROUND_ROBIN: "roundRobin",
+    PROPORTIONAL: "proportional"
+});
+
+/**
+ * A list of callbacks for one machine event
+ * Works like the signals in world.afterEvents
+ */
+export class MachineEventSignal {
+    constructor() {
+        this.callbacks = [];
+    }
+
+    /**
+     * Adds a callback that runs whenever the event fires
+     * @param {(event: Object) => void} callback - Callback to add
+     * @returns The callback, for unsubscribing later
+     */
+    subscribe(callback) {
+        if (typeof callback !== "function") throw new Error("Callback must be a function");
+        this.callbacks.push(callback);
+        return callback;
+    }
+
+    /**
+     * Removes a callback added with subscribe
+     * @param {(event: Object) => void} callback - Callback to remove
+     */
+    unsubscribe(callback) {
+        const index = this.callbacks.indexOf(callback);
+        if (index !== -1) this.callbacks.splice(index, 1);
+    }
+
+    /**
+     * Runs every callback with the event data
+     * Errors are logged so one subscriber cannot break the others
+     * @param {Object} event - Event data
+     */
+    fire(event) {
+        for (const callback of [...this.callbacks]) {
+            try {
+                callback(event);
+            } catch (error) {
+                console.warn(`[KyloWat] Event callback failed: ${error}`);
+            }
+        }
+    }
+}
+
+/**
+ * Machine lifecycle and energy events
+ * Energy events carry the resource they are about, "energy" for the default buffer
+ * machineCreated - {machine}
+ * machineDeleted - {id, typeId, dimension, location}
+ * machineMoved - {machine, from, to}
+ * energyChanged - {machine, resource, previousEnergy, currentEnergy}
+ * energyTransferred - {source, target, resource, amount, received, lost}, amount is what left the source
+ * energyGenerated - {machine, resource, amount}
+ * resourceConverted - {machine, from, to, consumed, produced}
+ * machineSuspended - {machine}, its chunk unloaded
+ * machineResumed - {machine, cycles}, its chunk loaded again and it caught up on cycles
+ * machineFull - {machine, resource}
+ * machineEmpty - {machine, resource}
+ * machineRan - {machine, resource, energyCost}
+ * runFailed - {machine, resource, energyCost, currentEnergy}
+ */
+export const MachineEvents = Object.freeze({
+    machineCreated: new MachineEventSignal(),
+    machineDeleted: new MachineEventSignal(),
+    machineMoved: new MachineEventSignal(),
+    energyChanged: new MachineEventSignal(),
+    energyTransferred: new MachineEventSignal(),
+    energyGenerated: new MachineEventSignal(),
+    resourceConverted: new MachineEventSignal(),
+    machineSuspended: new MachineEventSignal(),
+    machineResumed: new MachineEventSignal(),
+    machineFull: new MachineEventSignal(),
+    machineEmpty: new MachineEventSignal(),
+    machineRan: new MachineEventSignal(),
+    runFailed: new MachineEventSignal()
+});
+
+/**
+ * How a machine takes part in the energy loop
+ * GENERATOR produces its generation amount each cycle and only sends,
+ * CONSUMER only receives,
+ * STORAGE receives and sends,
+ * TRANSMITTER passes energy straight through to its own targets without holding a charge.
+ */
+export const MachineRole = Object.freeze({
+    GENERATOR: "generator",
+    CONSUMER: "consumer",
+    STORAGE: "storage",
+    TRANSMITTER: "transmitter"
+});
+
+/**
+ * How energy is lost over the distance between two machines
+ * NONE is lossless,
+ * FLAT loses a fixed amount per block,
+ * PERCENT loses a percentage of the energy sent per block, up to all of it.
+ */
+export const LossModel = Object.freeze({
+    NONE: "none",
+    FLAT: "flat",
+    PERCENT: "percent"
+});
+
+/**
+ * How a block machine's face exchanges energy with the machine touching it
+ * INPUT only receives, OUTPUT only sends, BOTH does both and DISABLED does neither.
+ */
+export const FaceMode = Object.freeze({
+    INPUT: "input",
+    OUTPUT: "output",
+    BOTH: "both",
+    DISABLED: "disabled"
+});
+
+/**
+ * How an upgrade modifier changes a machine value
+ * ADD adds its value to the base value,
+ * MULTIPLY multiplies the result, after every ADD.
+ */
+export const UpgradeOperation = Object.freeze({
+    ADD: "add",
+    MULTIPLY: "multiply"
+});
+
+/**
+ * What happens to existing machines when a type is registered with a new version
+ * KEEP_OVERRIDES takes the new defaults for settings a machine still has at the old default,
+ * CLAMP_ENERGY does the same and clamps stored energy to the new capacity,
+ * RESET takes every new default, dropping per machine changes, and clamps stored energy.
+ */
+export const MigrationPolicy = Object.freeze({
+    KEEP_OVERRIDES: "keepOverrides",
+    CLAMP_ENERGY: "clampEnergy",
+    RESET: "reset"
+});
+
+/**
+ * Options for MachineRegistry.register
+ * @typedef {Object} RegistrationOptions
+ * @property {number} [energyCost=0] - Energy cost per tick
+ * @property {number} [maxEnergy=0] - Max energy capacity
+ * @property {number} [startEnergy=0] - Initial energy value, at most maxEnergy
+ * @property {number} [transferRate=50] - Default transfer rate
+ * @property {String} [role=MachineRole.STORAGE] - A MachineRole value
+ * @property {number} [generation=0] - Energy produced per cycle by generators
+ * @property {String} [distribution] - A DistributionMode value, same as setDistribution
+ * @property {{maxLinkRange?: number, lossModel?: String, loss?: number}} [transferLoss] - Same as setTransferLoss
+ * @property {Object<string, Object>} [buffers] - Same as setBuffers
+ * @property {{from: String, to: String, ratio?: number, rate?: number}} [converter] - Same as setConverter
+ * @property {Object<string, *>} [custom] - Your own fields, saved as JSON and read back with getCustom
+ * @property {String|Object<string, String>} [faces] - A FaceMode for every face, or FaceMode values by Direction for a block facing north
+ * @property {number} [version=1] - Whole number, raise it when changing defaults so existing machines are migrated
+ * @property {String} [migration=MigrationPolicy.CLAMP_ENERGY] - A MigrationPolicy value
+ * @property {boolean} [autoMigrate=true] - Migrate existing machines as soon as the version changes, false to wait for MachineRegistry.migrate
+ */
+
+/**
+ * Settings of an ID, as returned by MachineRegistry.get
+ * @typedef {Object} MachineDescriptor
+ * @property {String} id - The ID
+ * @property {boolean} registered - False if the ID is not registered and these are the defaults
+ * @property {number} energyCost
+ * @property {number} maxEnergy
+ * @property {number} startEnergy
+ * @property {number} transferRate
+ * @property {String} role
+ * @property {number} generation
+ * @property {String} distribution
+ * @property {number} maxLinkRange
+ * @property {String} lossModel
+ * @property {number} loss
+ * @property {Object<string, Object>} buffers
+ * @property {{from: String, to: String, ratio: number, rate: number}|null} converter
+ * @property {Object<string, *>} custom
+ * @property {Object<string, String>} faces - FaceMode values by Direction for a block facing north
+ * @property {number} version
+ * @property {String} migration
+ * @property {boolean} autoMigrate
+ */
+
 /**
  * Represents a registered ID
  * that has default Machine components.
@@ -107,64 +639,145 @@ export const EnergySystem = (() => {
  * and deleted to avoid memory overload.
  */
 export class MachineRegistry {
-    static objectiveId = "machine_registry";
     static cache = new Map();
+    static conduits = new Set();
+    static tickHandlers = new Map();
+    static upgrades = new Map();
+    static loaded = false;
 
     /**
-     * Confirms the existing Registry Objective
+     * Loads every persisted registration into the cache
      */
-    static ensureObjective() {
-        try {
-            world.scoreboard.addObjective(this.objectiveId, "Machine Registry");
-        } catch {}
+    static load() {
+        if (this.loaded) return;
+        this.loaded = true;
+        for (const id of Storage.keys("type")) {
+            const stored = Storage.read(`type:${id}`);
+            if (stored && !this.cache.has(id)) this.cache.set(id, stored);
+        }
+        for (const id of Storage.read("conduits") ?? []) this.conduits.add(id);
+        for (const name of Storage.keys("upgrade")) {
+            const stored = Storage.read(`upgrade:${name}`);
+            if (stored && !this.upgrades.has(name)) this.upgrades.set(name, stored);
+        }
     }
 
     /**
      * Registers an ID as a machine - automatically handling entities or blocks
      * Custom IDs will not be handled automatically but can be used similarly
      * This will cause all entities or blocks that share the ID to register as a machine on block place or entity spawn
+     * Takes an options object, or the positional form register(id, energyCost, maxEnergy, startEnergy, transferRate, role, generation)
+     * Registering again replaces every setting of the ID
      * @param {String} id - ID to register
-     * @param {number} [energyCost=0] - Energy cost per tick
-     * @param {number} [maxEnergy=0] - Max energy capacity
-     * @param {number} [currentEnergy=0] - Initial energy value
-     * @param {number} [transferRate=50] - Default transfer rate
+     * @param {RegistrationOptions|number} [options] - Registration options, or energyCost for the positional form
+     * @param {...*} [positional] - maxEnergy, startEnergy, transferRate, role and generation for the positional form
      */
-    static register(id, energyCost = 0, maxEnergy = 0, startEnergy = 0, transferRate = 50) {
-        this.ensureObjective();
-        const obj = world.scoreboard.getObjective(this.objectiveId);
+    static register(id, options, ...positional) {
+        // Any argument after options, even when options is undefined, means the positional form
+        if (positional.length > 0 || typeof options !== "object" || options === null) options = positionalOptions([options, ...positional]);
+        const defaults = parseRegistration(id, options);
+        this.load();
+        saveRegistration(id, defaults);
+    }
 
-        obj.setScore(`${id}:energyCost`, energyCost);
-        obj.setScore(`${id}:maxEnergy`, maxEnergy);
-        obj.setScore(`${id}:startEnergy`, startEnergy);
-        obj.setScore(`${id}:transferRate`, transferRate);
+    /**
+     * Registers many IDs at once
+     * Every entry is validated before any is saved, so a bad entry registers nothing
+     * @param {Object<string, RegistrationOptions|Array>} config - Options by ID, arrays use the positional order
+     * @returns {String[]} Registered IDs
+     */
+    static registerAll(config) {
+        if (!isPlainObject(config)) throw new Error("Registration config must be an object");
+        const parsed = Object.entries(config).map(([id, options]) => {
+            return [id, parseRegistration(id, Array.isArray(options) ? positionalOptions(options) : options)];
+        });
+        this.load();
+        for (const [id, defaults] of parsed) saveRegistration(id, defaults);
+        return parsed.map(([id]) => id);
+    }
 
-        this.cache.set(id, { energyCost, maxEnergy, startEnergy, transferRate });
+    /**
+     * Brings saved machines up to the current version of their type using its MigrationPolicy
+     * register does this by itself when the version changes, unless autoMigrate is false
+     * @param {String} [id] - Registered ID, leave out to migrate every type
+     * @returns {number} Number of machines migrated
+     */
+    static migrate(id) {
+        this.load();
+        if (id !== undefined && !this.cache.has(id)) throw new Error(`Machine type is not registered: ${id}`);
+
+        let migrated = 0;
+        for (const machineId of Storage.keys("machine")) {
+            const record = Storage.read(`machine:${machineId}`);
+            if (!record || (id !== undefined && record.typeId !== id)) continue;
+            const type = this.cache.get(record.typeId);
+            if (!type || (record.typeVersion ?? 1) === (type.version ?? 1)) continue;
+            migrateRecord(record, type);
+            migrated++;
+        }
+        return migrated;
     }
 
     /**
      * Gets the default values for a registered ID
+     * The descriptor still destructures like the old array: const [energyCost, maxEnergy, startEnergy, transferRate] = get(id)
      * @param {String} id - ID to search
-     * @returns - An array of default values [energyCost, maxEnergy, startEnergy, transferRate]
+     * @returns {MachineDescriptor} Settings of the ID, registered is false and the defaults are used if it is unknown
      */
     static get(id) {
-        if (this.cache.has(id)) {
-            const cached = this.cache.get(id);
-            return [cached.energyCost, cached.maxEnergy, cached.startEnergy, cached.transferRate];
-        }
-
-        this.ensureObjective();
-        const obj = world.scoreboard.getObjective(this.objectiveId);
-
-        const energyCost = obj.getScore(`${id}:energyCost`) ?? 0;
-        const maxEnergy = obj.getScore(`${id}:maxEnergy`) ?? 0;
-        const startEnergy = obj.getScore(`${id}:startEnergy`) ?? 0;
-        const transferRate = obj.getScore(`${id}:transferRate`) ?? 50;
+        this.load();
+        return describeType(id, this.cache.get(id));
+    }
 
-        if (!this.has(id)) this.register(id, energyCost, maxEnergy, startEnergy, transferRate);
+    /**
+     * Registers an upgrade machines can install
+     * Registering an upgrade again changes it on every machine that has it installed
+     * @param {String} name - Upgrade name
+     * @param {{stat: String, operation: String, value: number}[]} modifiers - Modifiers on "maxEnergy", "transferRate" or "energyCost", operation is an UpgradeOperation value
+     * @param {Object} [options]
+     * @param {number} [options.maxStack=1] - How many of this upgrade one machine can install
+     */
+    static registerUpgrade(name, modifiers, { maxStack = 1 } = {}) {
+        if (typeof name !== "string" || !name) throw new Error(`Invalid upgrade name: ${name}`);
+        if (!Array.isArray(modifiers) || !modifiers.length) throw new Error(`Upgrade ${name} needs at least one modifier`);
+        const parsed = modifiers.map(modifier => {
+            const { stat, operation, value } = modifier ?? {};
+            if (!upgradeStats.includes(stat)) throw new Error(`Invalid upgrade stat for ${name}: ${stat}`);
+            if (!Object.values(UpgradeOperation).includes(operation)) throw new Error(`Invalid upgrade operation for ${name}: ${operation}`);
+            if (typeof value !== "number" || !Number.isFinite(value)) throw new Error(`Invalid upgrade value for ${name}: ${value}`);
+            if (operation === UpgradeOperation.MULTIPLY && value < 0) throw new Error(`Invalid upgrade value for ${name}: ${value}, multipliers cannot be negative`);
+            return { stat, operation, value };
+        });
+        if (!Number.isInteger(maxStack) || maxStack < 1) throw new Error(`Invalid maxStack for ${name}: ${maxStack}`);
+
+        this.load();
+        const upgrade = { modifiers: parsed, maxStack };
+        Storage.write(`upgrade:${name}`, upgrade);
+        this.upgrades.set(name, upgrade);
+        for (const machine of Machine.cache.values()) {
+            if (machine.upgrades?.includes(name)) refreshUpgrades(machine);
+        }
+    }
 
-        this.cache.set(id, { energyCost, maxEnergy, startEnergy, transferRate });
+    /**
+     * Gets a registered upgrade
+     * @param {String} name - Upgrade name
+     * @returns {{modifiers: {stat: String, operation: String, value: number}[], maxStack: number}|null} The upgrade, null if it is not registered
+     */
+    static getUpgrade(name) {
+        this.load();
+        return this.upgrades.get(name) ?? null;
+    }
 
-        return [energyCost, maxEnergy, startEnergy, transferRate];
+    /**
+     * Gets a custom field of a registered ID
+     * @param {String} id - ID to search
+     * @param {String} key - Custom field name
+     * @returns {*} The value, undefined if it was not set
+     */
+    static getCustom(id, key) {
+        this.load();
+        return this.cache.get(id)?.custom?.[key];
     }
 
     /**
@@ -173,196 +786,760 @@ export class MachineRegistry {
      * @returns True/False
      */
     static has(id) {
-        if (this.cache.has(id)) return true;
+        this.load();
+        return this.cache.has(id);
+    }
 
-        this.ensureObjective();
-        const obj = world.scoreboard.getObjective(this.objectiveId);
+    /**
+     * Sets how machines of a registered ID distribute energy between their links
+     * Call after register, registering again resets it
+     * @param {String} id - Registered ID
+     * @param {String} mode - A DistributionMode value
+     */
+    static setDistribution(id, mode) {
+        const distribution = parseDistribution(mode);
+        this.load();
+        const defaults = this.cache.get(id);
+        if (!defaults) throw new Error(`Machine type is not registered: ${id}`);
+        defaults.distribution = distribution;
+        Storage.write(`type:${id}`, defaults);
+    }
 
-        try {
-            return obj.getScore(`${id}:energyCost`) != null;
-        } catch {
-            return false;
+    /**
+     * Registers a block ID as a conduit
+     * Machines connected through conduit blocks form a network and share energy
+     * without needing manual links
+     * @param {String} id - Block ID to register
+     */
+    static registerConduit(id) {
+        this.load();
+        this.conduits.add(id);
+        Storage.write("conduits", [...this.conduits]);
+    }
+
+    /**
+     * Checks if the ID is registered as a conduit
+     * @param {String} id - ID to search
+     * @returns True/False
+     */
+    static isConduit(id) {
+        this.load();
+        return this.conduits.has(id);
+    }
+
+    /**
+     * Sets the callback the Energy System calls for every machine of a registered ID each cycle
+     * The machine's run() is called first unless it is idle, and the result is passed to the callback
+     * Callbacks are not saved, register them on every world load
+     * @param {String} id - Registered ID
+     * @param {(event: {machine: Machine, block: Block|undefined, entity: Entity|undefined, success: boolean, idle: boolean}) => void} [callback] - Callback, leave out to remove it
+     */
+    static onTick(id, callback) {
+        if (callback === undefined) {
+            this.tickHandlers.delete(id);
+            return;
         }
+        if (typeof callback !== "function") throw new Error("Tick callback must be a function");
+        this.tickHandlers.set(id, callback);
+    }
+
+    /**
+     * Gets the role of a registered ID
+     * @param {String} id - ID to search
+     * @returns {String} A MachineRole value, STORAGE if none was set
+     */
+    static getRole(id) {
+        this.load();
+        return this.cache.get(id)?.role ?? MachineRole.STORAGE;
+    }
+
+    /**
+     * Gets the energy a registered generator produces per cycle
+     * @param {String} id - ID to search
+     * @returns {number} Generation amount
+     */
+    static getGeneration(id) {
+        this.load();
+        return this.cache.get(id)?.generation ?? 0;
+    }
+
+    /**
+     * Gets the face modes of a registered ID
+     * @param {String} id - ID to search
+     * @returns {Object<string, String>|null} FaceMode values by Direction for a block facing north, null if none were set
+     */
+    static getFaces(id) {
+        this.load();
+        return this.cache.get(id)?.faces ?? null;
+    }
+
+    /**
+     * Gets the distribution mode of a registered ID
+     * @param {String} id - ID to search
+     * @returns {String} A DistributionMode value, PRIORITY if none was set
+     */
+    static getDistribution(id) {
+        this.load();
+        return this.cache.get(id)?.distribution ?? DistributionMode.PRIORITY;
+    }
+
+    /**
+     * Sets the link range and transfer loss of a registered ID
+     * Applies to energy sent by machines of this ID
+     * Call after register, registering again resets it
+     * @param {String} id - Registered ID
+     * @param {Object} settings
+     * @param {number} [settings.maxLinkRange=Infinity] - Longest link in blocks, limited links cannot cross dimensions
+     * @param {String} [settings.lossModel=LossModel.NONE] - A LossModel value
+     * @param {number} [settings.loss=0] - Energy lost per block (FLAT) or percent lost per block (PERCENT)
+     */
+    static setTransferLoss(id, settings = {}) {
+        const parsed = parseTransferLoss(settings);
+        this.load();
+        const defaults = this.cache.get(id);
+        if (!defaults) throw new Error(`Machine type is not registered: ${id}`);
+        Object.assign(defaults, parsed);
+        Storage.write(`type:${id}`, defaults);
+    }
+
+    /**
+     * Gets the link range and transfer loss of a registered ID
+     * @param {String} id - ID to search
+     * @returns {{maxLinkRange: number, lossModel: String, loss: number}} Settings, unlimited and lossless if none were set
+     */
+    static getTransferLoss(id) {
+        this.load();
+        const defaults = this.cache.get(id);
+        return {
+            maxLinkRange: defaults?.maxLinkRange ?? Infinity,
+            lossModel: defaults?.lossModel ?? LossModel.NONE,
+            loss: defaults?.loss ?? 0
+        };
+    }
+
+    /**
+     * Declares the extra resource buffers machines of a registered ID hold next to energy
+     * Links and conduits only carry a resource between machines that both hold it
+     * Call after register, registering again resets it
+     * @param {String} id - Registered ID
+     * @param {Object<string, {max?: number, start?: number, transferRate?: number, cost?: number, generation?: number}>} buffers - Buffer settings by resource name
+     */
+    static setBuffers(id, buffers) {
+        const parsed = parseBuffers(buffers);
+        this.load();
+        const defaults = this.cache.get(id);
+        if (!defaults) throw new Error(`Machine type is not registered: ${id}`);
+        defaults.buffers = parsed;
+        Storage.write(`type:${id}`, defaults);
+    }
+
+    /**
+     * Gets the extra resource buffers of a registered ID
+     * @param {String} id - ID to search
+     * @returns {Object<string, {max: number, start: number, transferRate: number, cost: number, generation: number}>} Buffer settings by resource name
+     */
+    static getBuffers(id) {
+        this.load();
+        return this.cache.get(id)?.buffers ?? {};
+    }
+
+    /**
+     * Makes machines of a registered ID convert one resource into another each cycle
+     * Call after register, registering again resets it
+     * @param {String} id - Registered ID
+     * @param {Object} settings
+     * @param {String} settings.from - Resource consumed
+     * @param {String} settings.to - Resource produced
+     * @param {number} [settings.ratio=1] - Amount produced per unit consumed
+     * @param {number} [settings.rate=Infinity] - Most input consumed per cycle
+     */
+    static setConverter(id, settings = {}) {
+        const converter = parseConverter(settings);
+        this.load();
+        const defaults = this.cache.get(id);
+        if (!defaults) throw new Error(`Machine type is not registered: ${id}`);
+        defaults.converter = converter;
+        Storage.write(`type:${id}`, defaults);
+    }
+
+    /**
+     * Gets the conversion of a registered ID
+     * @param {String} id - ID to search
+     * @returns {{from: String, to: String, ratio: number, rate: number}|null} Conversion, null if the ID does not convert
+     */
+    static getConverter(id) {
+        this.load();
+        const converter = this.cache.get(id)?.converter;
+        if (!converter) return null;
+        return { ...converter, rate: converter.rate ?? Infinity };
     }
 }
 
 /**
  * Represents a single machine tied to a block.
  * A machine has energy, energyCost, and maxEnergy values
- * which are persisted using the scoreboard.
+ * which are persisted using world dynamic properties.
  */
 export class Machine {
     static cache = new Map();
 
     /**
      * Create or reconstruct a machine
-     * Uses x:y:z as key for blocks, or a dynamic property for entities
+     * Uses dim:x:y:z as key, use Machine.createForEntity for entities
      * @param {string} typeId - Machine type identifier
      * @param {Object} location - Machine location (x, y, z)
-     * @param {String|Number} dim - Machine dimension
+     * @param {String|Number} [dim="minecraft:overworld"] - Machine dimension
      * @param {number} [energyCost=0] - Energy cost per tick
      * @param {number} [maxEnergy=0] - Max energy capacity
      * @param {number} [currentEnergy=0] - Initial energy value
      * @param {number} [transferRate=50] - Default transfer rate
      */
-    constructor(typeId, location, dim, energyCost = 0, maxEnergy = 0, currentEnergy = 0, transferRate = 50) {
+    constructor(typeId, location, dim = "minecraft:overworld", energyCost = 0, maxEnergy = 0, currentEnergy = 0, transferRate = 50) {
         if (!typeId || !location) throw new Error("Machine requires typeId and location");
 
-        const key = `${location.x}:${location.y}:${location.z}`;
+        dim = DimensionRegistry.toNumber(dim);
+        const key = locationKey(dim, location);
 
         if (Machine.cache.has(key)) {
             return Machine.cache.get(key);
         }
 
-        let existingId = Machine.findIdByLocation(location);
-        let id = existingId;
-
-        if (id == null) {
-            this.id = makeUUID();
-
-            const registryDefaults = MachineRegistry.has(typeId) ? MachineRegistry.get(typeId) : [];
-            const [regEnergyCost, regMaxEnergy, regStartEnergy, regTransferRate] = registryDefaults;
-            this.energyCost = regEnergyCost !== undefined ? regEnergyCost : energyCost;
-            this.maxEnergy = regMaxEnergy !== undefined ? regMaxEnergy : maxEnergy;
-            this.currentEnergy = regStartEnergy !== undefined ? regStartEnergy : currentEnergy;
-            this.transferRate = regTransferRate !== undefined ? regTransferRate : transferRate;
-
-            if (typeof dim == "string"){
-                dim = dimStringToNum(dim)
-            }
+        const id = Machine.findIdByLocation(location, dim);
+        const record = id == null ? undefined : Storage.read(`machine:${id}`);
 
-            const obj = world.scoreboard.addObjective(this.id, this.id);
-            obj.setScore("x", location.x);
-            obj.setScore("y", location.y);
-            obj.setScore("z", location.z);
-            obj.setScore("dimension", dim)
-            obj.setScore("energyCost", this.energyCost);
-            obj.setScore("maxEnergy", this.maxEnergy);
-            obj.setScore("energy", this.currentEnergy);
-            obj.setScore("transferRate", this.transferRate);
+        // An index entry without a record is left over from a deleted machine
+        if (id != null && !record) LocationIndex.remove(dim, location, id);
 
-        } else {
-            const machine = Machine.reconstructFromId(id);
-            this.id = machine.id;
-            this.dim = machine.dim
-            this.energyCost = machine.energyCost;
-            this.maxEnergy = machine.maxEnergy;
-            this.currentEnergy = machine.currentEnergy;
-            this.transferRate = machine.transferRate;
+        if (!record) {
+            initMachine(this, typeId, location, dim, { energyCost, maxEnergy, currentEnergy, transferRate });
+            return;
         }
 
+        applyRecord(this, record);
         Machine.cache.set(key, this);
     }
 
     /**
-     * Find a machine id by its location
-     * @param {{x:number, y:number, z:number}} loc - Location to check
-     * @param {String|Number} dim - Dim to check
-     * @returns {string|null} Machine id or null
+     * Gets the machine bound to an entity, or creates one for it
+     * Entities that still carry a spawn_location from older versions
+     * are bound to the machine created at that location
+     * @param {Entity} entity - Entity to bind
+     * @returns {Machine} The entity's machine
      */
-    static findIdByLocation(loc, dim) {
-        try {
-            if (typeof dim == "string"){
-                dim = dimStringToNum(dim)
-            }
-            for (const obj of world.scoreboard.getObjectives()) {
-                const sx = obj.getScore("x");
-                const sy = obj.getScore("y");
-                const sz = obj.getScore("z");
-                const sdim = obj.getScore("dimension")
-                if (sx === loc.x && sy === loc.y && sz === loc.z && sdim === dim) {
-                    return obj.displayName;
-                }
+    static createForEntity(entity) {
+        const existing = Machine.fromEntity(entity);
+        if (existing) return existing;
+
+        const legacyLocation = entity.getDynamicProperty("spawn_location");
+        if (legacyLocation) {
+            entity.setDynamicProperty("spawn_location", undefined);
+            const legacyId = Machine.findIdByLocation(legacyLocation, entity.dimension.id);
+            const record = legacyId ? Storage.read(`machine:${legacyId}`) : undefined;
+            if (record) {
+                Machine.cache.delete(locationKey(record.dimension, record));
+                LocationIndex.remove(record.dimension, record, legacyId);
+                Storage.write(`machine:${legacyId}`, Object.assign(record, { typeId: entity.typeId, entityId: entity.id }));
+                entity.setDynamicProperty("machine_id", legacyId);
+                return Machine.reconstructFromId(legacyId);
             }
+            // The machine at the spawn location was deleted, only its index entry is left
+            if (legacyId) LocationIndex.remove(DimensionRegistry.toNumber(entity.dimension.id), legacyLocation, legacyId);
+        }
+
+        const machine = Object.create(Machine.prototype);
+        initMachine(machine, entity.typeId, floorLocation(entity.location), DimensionRegistry.toNumber(entity.dimension.id), {}, entity.id);
+        entity.setDynamicProperty("machine_id", machine.id);
+        return machine;
+    }
+
+    /**
+     * Gets the machine bound to an entity
+     * @param {Entity} entity - Entity to check
+     * @returns {Machine|null} The entity's machine or null
+     */
+    static fromEntity(entity) {
+        let id;
+        try {
+            id = entity.getDynamicProperty("machine_id");
+        } catch {
+            return null;
+        }
+        if (typeof id !== "string") return null;
+        return Machine.reconstructFromId(id);
+    }
+
+    /**
+     * Find a machine id by its location
+     * Only finds block machines, use Machine.fromEntity for entities
+     * @param {{x:number, y:number, z:number}} loc - Location to check
+     * @param {String|Number} dim - Dim to check
+     * @returns {string|null} Machine id or null
+     */
+    static findIdByLocation(loc, dim) {
+        try {
+            return LocationIndex.get(DimensionRegistry.toNumber(dim), loc);
         } catch {}
         return null;
     }
 
+    /**
+     * Find all machine ids inside a chunk
+     * @param {number} chunkX - Chunk x coordinate (block x / 16)
+     * @param {number} chunkZ - Chunk z coordinate (block z / 16)
+     * @param {String|Number} dim - Dim to check
+     * @returns {string[]} Machine ids
+     */
+    static findIdsInChunk(chunkX, chunkZ, dim) {
+        return LocationIndex.inChunk(DimensionRegistry.toNumber(dim), chunkX, chunkZ);
+    }
+
+    /**
+     * Find all machine ids within a radius of a point
+     * @param {{x:number, y:number, z:number}} loc - Center point
+     * @param {number} radius - Radius in blocks
+     * @param {String|Number} dim - Dim to check
+     * @returns {string[]} Machine ids
+     */
+    static findIdsInRadius(loc, radius, dim) {
+        return LocationIndex.inRadius(DimensionRegistry.toNumber(dim), loc, radius);
+    }
+
+    /**
+     * Loads every stored machine into the cache
+     * so the EnergySystem also runs machines nobody has touched since the world loaded
+     */
+    static loadAll() {
+        for (const id of Storage.keys("machine")) {
+            Machine.reconstructFromId(id);
+        }
+    }
+
     /**
      * Rebuild a machine from a saved id
+     * Returns the cached instance if the machine is already loaded
      * @param {string} id - Machine id
      * @returns {Machine|null} Reconstructed machine or null
      */
     static reconstructFromId(id) {
-        const obj = world.scoreboard.getObjective(id) || world.scoreboard.addObjective(id, id);
-        if (!obj) return null;
-
-        const x = obj.getScore("x");
-        const y = obj.getScore("y");
-        const z = obj.getScore("z");
-        const dim = obj.getScore("dimension")
-        const key = `${x}:${y}:${z}`;
+        const record = Storage.read(`machine:${id}`);
+        if (!record) return null;
 
-        const energyCost = obj.getScore("energyCost");
-        const maxEnergy = obj.getScore("maxEnergy");
-        const currentEnergy = obj.getScore("energy");
-        const transferRate = obj.getScore("transferRate");
+        const key = cacheKey(record);
+        const cached = Machine.cache.get(key);
+        if (cached && cached.id === id) return cached;
 
-        const machine = Object.create(Machine.prototype);
-        machine.id = id;
-        machine.dim = dim
-        machine.energyCost = energyCost;
-        machine.maxEnergy = maxEnergy;
-        machine.currentEnergy = currentEnergy;
-        machine.transferRate = transferRate;
+        const machine = applyRecord(Object.create(Machine.prototype), record);
 
         Machine.cache.set(key, machine);
         return machine;
     }
 
     /**
-     * Delete a machine from cache and scoreboard by id
+     * Delete a machine from cache and storage by id
      * @param {string} id - Machine id
      */
     static deleteId(id) {
-        const obj = world.scoreboard.getObjective(id) || world.scoreboard.addObjective(id, id);
-        const key = `${obj.getScore("x")}:${obj.getScore("y")}:${obj.getScore("z")}`;
-        Machine.cache.delete(key);
-        world.scoreboard.removeObjective(obj)
+        const record = Storage.read(`machine:${id}`);
+        if (record) {
+            Machine.cache.delete(cacheKey(record));
+            if (!record.entityId) LocationIndex.remove(record.dimension, record, id);
+            if (record.network) ConduitNetworks.removeMember(record.network, id);
+        }
+        Storage.remove(`machine:${id}`);
+        freeUUID(id);
+        if (record) {
+            MachineEvents.machineDeleted.fire({
+                id,
+                typeId: record.typeId,
+                dimension: record.dimension,
+                location: {x: record.x, y: record.y, z: record.z}
+            });
+        }
+    }
+
+    /**
+     * Moves a block machine to another location in the same dimension
+     * Energy, links and id are kept
+     * @param {{x:number, y:number, z:number}} location - New block location
+     * @returns {boolean} True if moved, false for entity machines or if another machine is there
+     */
+    moveTo(location) {
+        if (this.entityId) return false;
+        const record = Storage.read(`machine:${this.id}`);
+        if (!record) return false;
+
+        const to = floorLocation(location);
+        const occupant = LocationIndex.get(record.dimension, to);
+        if (occupant && occupant !== this.id) return false;
+
+        const from = {x: record.x, y: record.y, z: record.z};
+        Machine.cache.delete(cacheKey(record));
+        LocationIndex.remove(record.dimension, from, this.id);
+
+        Object.assign(record, to);
+        Storage.write(`machine:${this.id}`, record);
+        LocationIndex.add(record.dimension, to, this.id);
+        Machine.cache.set(cacheKey(record), this);
+
+        MachineEvents.machineMoved.fire({ machine: this, from, to });
+        return true;
+    }
+
+    /**
+     * Runs one machine cycle, paying its cost from one resource
+     * @param {String} [resource="energy"] - Resource to pay from
+     * @returns {boolean} True if the machine could pay, false if not
+     */
+    run(resource = "energy") {
+        const cost = this.getCost(resource);
+        const amount = this.getAmount(resource);
+        if (amount < cost) {
+            MachineEvents.runFailed.fire({ machine: this, resource, energyCost: cost, currentEnergy: amount });
+            return false;
+        }
+
+        if (cost > 0) {
+            this.removeEnergy(cost, resource);
+        }
+
+        MachineEvents.machineRan.fire({ machine: this, resource, energyCost: cost });
+        return true;
     }
 
     /**
-     * Run this machine for one tick.
-     * Subtracts energyCost acting as if an action was taken,
-     * @returns {boolean} True if machine had enough energy to run, false otherwise
+     * Runs this machine's registered tick callback for one cycle
+     * run() is called for energy and every buffer with a cost, nothing is paid unless all of them can be
+     * Idle machines skip run() and do not pay energyCost
+     * @returns {boolean} True if run() succeeded, false if it failed, the machine is idle or has no callback
      */
-    run() {
-        if (this.currentEnergy < this.energyCost) return false;
+    tick() {
+        const callback = MachineRegistry.tickHandlers.get(this.typeId);
+        if (!callback) return false;
 
-        if (this.energyCost > 0) {
-            this.removeEnergy(this.energyCost);
+        const idle = this.idle === true;
+        const success = idle ? false : runCosts(this);
+        try {
+            callback({ machine: this, block: this.getBlock(), entity: this.getEntity(), success, idle });
+        } catch (error) {
+            console.warn(`[KyloWat] Tick callback for ${this.typeId} failed: ${error}`);
         }
+        return success;
+    }
 
+    /**
+     * Marks this machine as idle, idle machines skip run() in the Energy System
+     * @param {boolean} idle - True to pause work, false to resume
+     */
+    setIdle(idle) {
+        this.idle = idle === true;
+        updateRecord(this.id, { idle: this.idle });
+    }
+
+    /**
+     * Changes the transfer rate of this machine
+     * Installed upgrades still apply on top of it
+     * @param {number} rate - New transfer rate before upgrades, 0 or more
+     */
+    setTransferRate(rate) {
+        if (typeof rate !== "number" || !Number.isFinite(rate) || rate < 0) throw new Error(`Invalid transfer rate: ${rate}`);
+        this.transferRate = upgradedValue(rate, "transferRate", this.upgrades);
+        updateRecord(this.id, { transferRate: rate });
+    }
+
+    /**
+     * Installs an upgrade, recomputing maxEnergy, transferRate and energyCost
+     * @param {String} name - A registered upgrade name
+     * @returns {boolean} True if installed, false if the machine already has maxStack of it
+     */
+    installUpgrade(name) {
+        const upgrade = MachineRegistry.getUpgrade(name);
+        if (!upgrade) throw new Error(`Upgrade is not registered: ${name}`);
+        if (this.upgrades.filter(installed => installed === name).length >= upgrade.maxStack) return false;
+        this.upgrades.push(name);
+        updateRecord(this.id, { upgrades: this.upgrades });
+        refreshUpgrades(this);
+        return true;
+    }
+
+    /**
+     * Removes one installed copy of an upgrade
+     * Energy above the new maxEnergy is removed
+     * @param {String} name - Upgrade name
+     * @returns {boolean} True if removed, false if it was not installed
+     */
+    removeUpgrade(name) {
+        const index = this.upgrades.indexOf(name);
+        if (index === -1) return false;
+        this.upgrades.splice(index, 1);
+        updateRecord(this.id, { upgrades: this.upgrades });
+        refreshUpgrades(this);
         return true;
     }
 
+    /**
+     * Gets the upgrades installed in this machine
+     * @returns {String[]} Upgrade names, repeated for stacked upgrades
+     */
+    getUpgrades() {
+        return [...this.upgrades];
+    }
+
     /**
      * Handles transferring energy to all linked machines
+     * Up to the resource's transfer rate is sent per call, split using the machine's DistributionMode
+     * Consumers never send
+     * @param {String} [resource="energy"] - Resource to send
+     */
+    transferToLinkedMachines(resource = "energy") {
+        if (this.getRole() === MachineRole.CONSUMER) return;
+        const links = this.getTransferTargets(resource);
+        if (!links.length) return;
+
+        let budget = Math.min(this.getTransferRate(resource), this.getAmount(resource));
+        let order = [...links].sort((a, b) => b.priority - a.priority);
+        const mode = this.getDistribution();
+
+        if (mode !== DistributionMode.PRIORITY) {
+            let shares;
+            if (mode === DistributionMode.ROUND_ROBIN) {
+                const offsets = this.roundRobinOffset ??= {};
+                const offset = (offsets[resource] ?? 0) % links.length;
+                offsets[resource] = offset + 1;
+                order = links.slice(offset).concat(links.slice(0, offset));
+                shares = splitBudget(order, budget, () => 1);
+            } else {
+                shares = splitBudget(order, budget, link => Math.max(link.priority, 0));
+            }
+            for (const [link, share] of shares) {
+                budget = roundEnergy(budget - this.transferEnergy(link.machine, share, resource));
+            }
+        }
+
+        // Priority order, and whatever full targets left over in the other modes
+        for (const link of order) {
+            if (budget <= 0) break;
+            budget = roundEnergy(budget - this.transferEnergy(link.machine, budget, resource));
+        }
+    }
+
+    /**
+     * Gets every machine this machine sends energy to this cycle
+     * Manual links plus conduit network peers. Generators never receive,
+     * transmitters are replaced by their own targets, and storage only
+     * sends to storage peers that are less full than itself.
+     * Targets that do not hold the resource are skipped
+     * @param {String} [resource="energy"] - Resource being sent
+     * @returns {{machine: Machine, priority: number}[]} Array of links
+     */
+    getTransferTargets(resource = "energy") {
+        return collectTargets(this, this, new Set([this.id]), undefined, resource);
+    }
+
+    /**
+     * Gets the role of this machine
+     * @returns {String} A MachineRole value
+     */
+    getRole() {
+        return MachineRegistry.getRole(this.typeId);
+    }
+
+    /**
+     * Adds this machine's per cycle generation of energy and every buffer
+     * @returns {number} Actual amount of energy added
+     */
+    generate() {
+        const generation = { energy: MachineRegistry.getGeneration(this.typeId) };
+        for (const [resource, settings] of Object.entries(MachineRegistry.getBuffers(this.typeId))) {
+            if (this.hasResource(resource)) generation[resource] = settings.generation;
+        }
+
+        let energyAdded = 0;
+        for (const [resource, amount] of Object.entries(generation)) {
+            const added = this.addEnergy(amount, resource);
+            if (added > 0) MachineEvents.energyGenerated.fire({ machine: this, resource, amount: added });
+            if (resource === "energy") energyAdded = added;
+        }
+        return energyAdded;
+    }
+
+    /**
+     * Converts resources using the conversion of this machine's type
+     * Takes only as much input as the output buffer has room for
+     * @returns {number} Amount produced
+     */
+    convert() {
+        const converter = MachineRegistry.getConverter(this.typeId);
+        if (!converter || !this.hasResource(converter.from) || !this.hasResource(converter.to)) return 0;
+
+        const space = this.getCapacity(converter.to) - this.getAmount(converter.to);
+        const input = roundEnergy(Math.min(converter.rate, this.getAmount(converter.from), space / converter.ratio));
+        const output = roundEnergy(input * converter.ratio);
+        if (!(input > 0) || !(output > 0)) return 0;
+
+        const consumed = this.removeEnergy(input, converter.from);
+        const produced = this.addEnergy(roundEnergy(consumed * converter.ratio), converter.to);
+        MachineEvents.resourceConverted.fire({ machine: this, from: converter.from, to: converter.to, consumed, produced });
+        return produced;
+    }
+
+    /**
+     * Gets every resource this machine holds, energy first
+     * @returns {String[]} Resource names
+     */
+    getResources() {
+        return ["energy", ...Object.keys(this.buffers ?? {})];
+    }
+
+    /**
+     * Checks if this machine holds a resource
+     * @param {String} resource - Resource name
+     * @returns True/False
+     */
+    hasResource(resource) {
+        return resource === "energy" || Object.hasOwn(this.buffers ?? {}, resource);
+    }
+
+    /**
+     * Gets the amount of a resource this machine holds
+     * @param {String} [resource="energy"] - Resource name
+     * @returns {number} Amount, 0 if the machine does not hold the resource
+     */
+    getAmount(resource = "energy") {
+        if (resource === "energy") return this.currentEnergy;
+        return this.buffers?.[resource]?.amount ?? 0;
+    }
+
+    /**
+     * Gets the capacity of one of this machine's buffers
+     * @param {String} [resource="energy"] - Resource name
+     * @returns {number} Capacity, 0 if the machine does not hold the resource
+     */
+    getCapacity(resource = "energy") {
+        if (resource === "energy") return this.maxEnergy;
+        return this.buffers?.[resource]?.max ?? 0;
+    }
+
+    /**
+     * Gets how much of a resource this machine sends per cycle
+     * @param {String} [resource="energy"] - Resource name
+     * @returns {number} Transfer rate, 0 if the machine does not hold the resource
      */
-    transferToLinkedMachines() {
-        const linkedMachines = this.getLinkedMachines();
-        for (const target of linkedMachines) {
-            if (!target) continue;
-            this.transferEnergy(target);
+    getTransferRate(resource = "energy") {
+        if (resource === "energy") return this.transferRate;
+        return this.buffers?.[resource]?.transferRate ?? 0;
+    }
+
+    /**
+     * Gets how much of a resource run() costs
+     * @param {String} [resource="energy"] - Resource name
+     * @returns {number} Cost, 0 if the machine does not hold the resource
+     */
+    getCost(resource = "energy") {
+        if (resource === "energy") return this.energyCost;
+        return this.buffers?.[resource]?.cost ?? 0;
+    }
+
+    /**
+     * Get all other machines on this machine's conduit network
+     * @returns {Machine[]} Array of machines
+     */
+    getNetworkPeers() {
+        if (!this.network) return [];
+        const peers = [];
+        for (const id of ConduitNetworks.get(this.network)) {
+            if (id === this.id) continue;
+            const machine = Machine.reconstructFromId(id);
+            if (machine) peers.push(machine);
+        }
+        return peers;
+    }
+
+    /**
+     * Gets the mode of one of this machine's faces
+     * Faces are named as if the block faced north, and turn with its minecraft:cardinal_direction state
+     * @param {String} face - A Direction value
+     * @returns {String} A FaceMode value, DISABLED for entity machines
+     */
+    getFace(face) {
+        if (!faceOffsets[face]) throw new Error(`Invalid face: ${face}`);
+        if (this.entityId) return FaceMode.DISABLED;
+        return this.faces?.[face] ?? MachineRegistry.getFaces(this.typeId)?.[face] ?? FaceMode.DISABLED;
+    }
+
+    /**
+     * Overrides the mode of one of this machine's faces
+     * @param {String} face - A Direction value, named as if the block faced north
+     * @param {String|null} mode - A FaceMode value, or null to use the registry default
+     */
+    setFace(face, mode) {
+        if (!faceOffsets[face]) throw new Error(`Invalid face: ${face}`);
+        if (mode !== null && !Object.values(FaceMode).includes(mode)) throw new Error(`Invalid face mode: ${mode}`);
+        const faces = { ...this.faces };
+        if (mode === null) delete faces[face];
+        else faces[face] = mode;
+        this.faces = Object.keys(faces).length ? faces : null;
+        updateRecord(this.id, { faces: this.faces ?? undefined });
+    }
+
+    /**
+     * Gets the machines touching this one that it can send to through its faces
+     * A sending face (OUTPUT or BOTH) must touch a receiving face (INPUT or BOTH)
+     * @returns {Machine[]} Array of machines
+     */
+    getFaceNeighbors() {
+        if (this.entityId) return [];
+        if (!this.faces && !MachineRegistry.getFaces(this.typeId)) return [];
+
+        const location = this.location;
+        const turn = blockTurn(this.getBlock());
+        const neighbors = [];
+        for (const [face, offset] of Object.entries(faceOffsets)) {
+            if (!sendingModes.includes(this.getFace(turnFace(face, -turn)))) continue;
+            const id = Machine.findIdByLocation({ x: location.x + offset.x, y: location.y + offset.y, z: location.z + offset.z }, this.dim);
+            const neighbor = id ? Machine.reconstructFromId(id) : null;
+            if (!neighbor || neighbor.entityId) continue;
+
+            const neighborFace = turnFace(oppositeFaces[face], -blockTurn(neighbor.getBlock()));
+            if (receivingModes.includes(neighbor.getFace(neighborFace))) neighbors.push(neighbor);
         }
+        return neighbors;
+    }
+
+    /**
+     * Gets the distribution mode used by this machine
+     * @returns {String} A DistributionMode value
+     */
+    getDistribution() {
+        return this.distribution ?? MachineRegistry.getDistribution(this.typeId);
+    }
+
+    /**
+     * Overrides the distribution mode of this machine
+     * @param {String|null} mode - A DistributionMode value, or null to use the registry default
+     */
+    setDistribution(mode) {
+        if (mode !== null && !Object.values(DistributionMode).includes(mode)) throw new Error(`Invalid distribution mode: ${mode}`);
+        this.distribution = mode;
+        updateRecord(this.id, { distribution: mode });
     }
 
     /**
      * Add energy to this machine
-     * Respects maxEnergy and updates scoreboard + cache
+     * Respects maxEnergy and updates storage + cache
      * @param {number} amount - Amount of energy to add
+     * @param {String} [resource="energy"] - Buffer to add to
      * @returns {number} Actual amount added
      */
-    addEnergy(amount) {
-        if (amount <= 0) return 0;
+    addEnergy(amount, resource = "energy") {
+        if (!(amount > 0) || !this.hasResource(resource)) return 0;
 
-        const availableSpace = this.maxEnergy - this.currentEnergy;
-        const added = Math.min(amount, availableSpace);
+        const previousEnergy = this.getAmount(resource);
+        const availableSpace = this.getCapacity(resource) - previousEnergy;
+        const added = roundEnergy(Math.min(amount, availableSpace));
 
         if (added > 0) {
-            this.currentEnergy += added;
-            const obj = world.scoreboard.getObjective(this.id);
-            if (obj) obj.setScore("energy", this.currentEnergy);
+            setAmount(this, resource, roundEnergy(previousEnergy + added));
+            energyChanged(this, previousEnergy, resource);
         }
 
         return added;
@@ -370,19 +1547,20 @@ export class Machine {
 
     /**
      * Remove energy from this machine
-     * Respects currentEnergy and updates scoreboard + cache
+     * Respects currentEnergy and updates storage + cache
      * @param {number} amount - Amount of energy to remove
+     * @param {String} [resource="energy"] - Buffer to remove from
      * @returns {number} Actual amount removed
      */
-    removeEnergy(amount) {
-        if (amount <= 0) return 0;
+    removeEnergy(amount, resource = "energy") {
+        if (!(amount > 0) || !this.hasResource(resource)) return 0;
 
-        const removed = Math.min(amount, this.currentEnergy);
+        const previousEnergy = this.getAmount(resource);
+        const removed = roundEnergy(Math.min(amount, previousEnergy));
 
         if (removed > 0) {
-            this.currentEnergy -= removed;
-            const obj = world.scoreboard.getObjective(this.id);
-            if (obj) obj.setScore("energy", this.currentEnergy);
+            setAmount(this, resource, roundEnergy(previousEnergy - removed));
+            energyChanged(this, previousEnergy, resource);
         }
 
         return removed;
@@ -392,39 +1570,94 @@ export class Machine {
      * Transfer energy to another machine
      * Respects transferRate, source energy, and target capacity
      * @param {Machine} target - Machine to transfer energy to
-     * @param {number} [rate=this.transferRate] - Transfer rate
-     * @returns {number} Actual amount transferred
+     * @param {number} [rate] - Transfer rate, defaults to the resource's transfer rate
+     * @param {String} [resource="energy"] - Resource to send, both machines must hold it
+     * @returns {number} Amount taken from this machine, including any loss
      */
-    transferEnergy(target, rate = this.transferRate) {
-        if (!target || target.id === this.id) return 0;
-
-        const available = Math.min(rate, this.currentEnergy);
-        const capacity = target.maxEnergy - target.currentEnergy;
-        const transfer = Math.min(available, capacity);
-
-        if (transfer > 0) {
-            this.currentEnergy -= transfer;
-            target.currentEnergy += transfer;
+    transferEnergy(target, rate, resource = "energy") {
+        return this.transferEnergyDetailed(target, rate, resource).sent;
+    }
 
-            const obj = world.scoreboard.getObjective(this.id);
-            const targetObj = world.scoreboard.getObjective(target.id);
-            if (obj) obj.setScore("energy", this.currentEnergy);
-            if (targetObj) targetObj.setScore("energy", target.currentEnergy);
+    /**
+     * Transfer energy to another machine, reporting distance loss
+     * The loss settings of this machine's type apply
+     * @param {Machine} target - Machine to transfer energy to
+     * @param {number} [rate] - Transfer rate, defaults to the resource's transfer rate
+     * @param {String} [resource="energy"] - Resource to send, both machines must hold it
+     * @returns {{sent: number, received: number, lost: number}} Amount taken from this machine, added to the target, and lost on the way
+     */
+    transferEnergyDetailed(target, rate, resource = "energy") {
+        rate ??= this.getTransferRate(resource);
+        const result = { sent: 0, received: 0, lost: 0 };
+        if (!target || target.id === this.id) return result;
+        if (!this.hasResource(resource) || !target.hasResource(resource)) return result;
+
+        const available = Math.min(rate, this.getAmount(resource));
+        const capacity = target.getCapacity(resource) - target.getAmount(resource);
+        const { lossModel, loss } = MachineRegistry.getTransferLoss(this.typeId);
+        const distance = lossModel === LossModel.NONE ? 0 : this.distanceTo(target);
+
+        // Send enough that what arrives fills at most the target's free space
+        let sent;
+        if (lossModel === LossModel.FLAT) {
+            sent = Math.min(available, capacity + loss * distance);
+            result.lost = Math.min(sent, loss * distance);
+        } else if (lossModel === LossModel.PERCENT) {
+            const kept = Math.max(0, 1 - loss / 100 * distance);
+            sent = kept > 0 ? Math.min(available, capacity / kept) : 0;
+            result.lost = sent * (1 - kept);
+        } else {
+            sent = Math.min(available, capacity);
         }
+        sent = roundEnergy(sent);
+        result.lost = roundEnergy(result.lost);
+        const received = roundEnergy(sent - result.lost);
+        if (!(received > 0)) return { sent: 0, received: 0, lost: 0 };
+
+        const previousEnergy = this.getAmount(resource);
+        const previousTargetEnergy = target.getAmount(resource);
+        setAmount(this, resource, roundEnergy(previousEnergy - sent));
+        setAmount(target, resource, roundEnergy(previousTargetEnergy + received));
+
+        energyChanged(this, previousEnergy, resource);
+        energyChanged(target, previousTargetEnergy, resource);
+        result.sent = sent;
+        result.received = received;
+        MachineEvents.energyTransferred.fire({ source: this, target, resource, amount: sent, received, lost: result.lost });
+
+        return result;
+    }
 
-        return transfer;
+    /**
+     * Distance in blocks between this machine and another
+     * @param {Machine} other - Machine to measure to
+     * @returns {number} Distance, 0 if they are in different dimensions
+     */
+    distanceTo(other) {
+        if (other.dim !== this.dim) return 0;
+        const a = this.location;
+        const b = other.location;
+        return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
     }
 
     /**
      * Create a link between this machine and another
+     * Respects the maxLinkRange of this machine's type
      * @param {Machine} otherMachine - Machine to link
      * @param {number} [priority=1] - Link priority
+     * @returns {boolean} True if linked, false if out of range
      */
     linkMachine(otherMachine, priority = 1) {
-        if (!otherMachine || otherMachine.id === this.id) return;
-        const obj = world.scoreboard.getObjective(this.id);
-        const linkKey = `link:${otherMachine.id}`;
-        obj.setScore(linkKey, priority);
+        if (!otherMachine || otherMachine.id === this.id) return false;
+        const { maxLinkRange } = MachineRegistry.getTransferLoss(this.typeId);
+        if (Number.isFinite(maxLinkRange)) {
+            if (otherMachine.dim !== this.dim || this.distanceTo(otherMachine) > maxLinkRange) return false;
+        }
+        const record = Storage.read(`machine:${this.id}`);
+        if (!record) return false;
+        record.links[otherMachine.id] = priority;
+        Storage.write(`machine:${this.id}`, record);
+        return true;
     }
 
     /**
@@ -433,9 +1666,10 @@ export class Machine {
      */
     unlinkMachine(otherMachine) {
         if (!otherMachine || otherMachine.id === this.id) return;
-        const obj = world.scoreboard.getObjective(this.id);
-        const linkKey = `link:${otherMachine.id}`;
-        obj.removeScore(linkKey);
+        const record = Storage.read(`machine:${this.id}`);
+        if (!record) return;
+        delete record.links[otherMachine.id];
+        Storage.write(`machine:${this.id}`, record);
     }
 
     /**
@@ -443,20 +1677,84 @@ export class Machine {
      * @returns {Machine[]} Array of linked machines
      */
     getLinkedMachines() {
-        const obj = world.scoreboard.getObjective(this.id);
-        const linked = [];
-        for (const score of obj.getParticipants()) {
-            if (score.displayName.startsWith("link:")) {
-                const linkedId = score.displayName.split(":")[1];
-                const machine = Machine.reconstructFromId(linkedId);
-                if (machine) linked.push(machine);
-            }
+        return this.getLinks().map(link => link.machine);
+    }
+
+    /**
+     * Get all linked machines with their link priority
+     * @returns {{machine: Machine, priority: number}[]} Array of links
+     */
+    getLinks() {
+        const record = Storage.read(`machine:${this.id}`);
+        const links = [];
+        if (!record) return links;
+        for (const [linkedId, priority] of Object.entries(record.links)) {
+            const machine = Machine.reconstructFromId(linkedId);
+            if (machine) links.push({ machine, priority });
         }
 
-        return linked;
+        return links;
     }
     
+    /**
+     * Gets the dimension this machine is in
+     * @returns {Dimension|undefined} Dimension or undefined if the ID is unknown
+     */
+    getDimension() {
+        const dimId = DimensionRegistry.toId(this.dim);
+        if (!dimId) return undefined;
+        try {
+            return world.getDimension(dimId);
+        } catch {
+            return undefined;
+        }
+    }
+
+    /**
+     * Gets the entity this machine is bound to
+     * @returns {Entity|undefined} Entity or undefined for block machines and unloaded entities
+     */
+    getEntity() {
+        if (!this.entityId) return undefined;
+        try {
+            const entity = world.getEntity(this.entityId);
+            if (!entity || !entity.isValid) return undefined;
+            this.dim = DimensionRegistry.toNumber(entity.dimension.id);
+            return entity;
+        } catch {
+            return undefined;
+        }
+    }
+
+    /**
+     * Checks if this machine's block or entity is loaded
+     * @returns {boolean} True if it is loaded
+     */
+    isLoaded() {
+        if (this.entityId) return this.getEntity() !== undefined;
+        return this.getBlock() !== undefined;
+    }
+
+    /**
+     * Gets the block at this machine's location
+     * @returns {Block|undefined} Block or undefined if the chunk is not loaded or this is an entity machine
+     */
+    getBlock() {
+        if (this.entityId) return undefined;
+        try {
+            return this.getDimension()?.getBlock(this.location);
+        } catch {
+            return undefined;
+        }
+    }
+
+    /**
+     * Location of the machine
+     * Entity machines follow their entity, falling back to its last known location while unloaded
+     */
     get location() {
+        const entity = this.getEntity();
+        if (entity) return floorLocation(entity.location);
         return {
             x: this.get("x"),
             y: this.get("y"),
@@ -465,64 +1763,1964 @@ export class Machine {
     }
 
     /**
-     * Get a stored scoreboard value
-     * @param {string} name - Score name
-     * @returns {number|null} Score value or null
+     * Get a stored value
+     * Accepts the same names as the old scoreboard participants,
+     * e.g. "energy", "dimension" or "link:<id>"
+     * @param {string} name - Value name
+     * @returns {number|null} Stored value or null
      */
     get(name) {
-        const obj = world.scoreboard.getObjective(this.id) || world.scoreboard.addObjective(this.id, this.id);
-        if (!obj) return null;
-        try {
-            return obj.getScore(name);
-        } catch {
-            return null;
-        }
+        const record = Storage.read(`machine:${this.id}`);
+        if (!record) return null;
+        if (name.startsWith("link:")) return record.links[name.slice(5)] ?? null;
+        return record[name] ?? null;
     }
 
     /**
-     * Delete this machine from cache and scoreboard
+     * Delete this machine from cache and storage
      */
     delete() {
-        world.scoreboard.removeObjective(`${this.id}`);
-        const key = `${this.location.x}:${this.location.y}:${this.location.z}`;
-        Machine.cache.delete(key);
-        freeUUID(this.id);
+        Machine.deleteId(this.id);
     }
 }
 
-function dimStringToNum(dim){
-    if (dim.toLowerCase() == "minecraft:overworld"){
-        return 0;
-    } else if (dim.toLowerCase() == "minecraft:nether"){
-        return 1;
-    } else if (dim.toLowerCase() == "minecraft:the_end"){
-        return 2;
-    } else{
-        throw `Invalid dimension ID: ${dim}`
+/**
+ * Tracks which machines are connected through conduit blocks.
+ * A network is every conduit and machine reachable from each other,
+ * where machines connect to touching conduits but not to touching machines.
+ * Networks are rebuilt around a block whenever a machine or conduit is placed or broken.
+ */
+export const ConduitNetworks = (() => {
+    const maxBlocks = 4096;
+    const offsets = [
+        {x: 1, y: 0, z: 0}, {x: -1, y: 0, z: 0},
+        {x: 0, y: 1, z: 0}, {x: 0, y: -1, z: 0},
+        {x: 0, y: 0, z: 1}, {x: 0, y: 0, z: -1}
+    ];
+
+    function neighbors(loc) {
+        return offsets.map(o => ({x: loc.x + o.x, y: loc.y + o.y, z: loc.z + o.z}));
     }
-}
 
-const uuidObj = "MachineUUIDs"
-function makeUUID() {
-    let uuid;
-    const obj = world.scoreboard.getObjective(uuidObj) ?? world.scoreboard.addObjective(uuidObj, uuidObj);
+    /**
+     * Identifies the block at a location
+     * @returns {String|null} "conduit", a machine id, or null
+     */
+    function classify(dimension, loc) {
+        let block;
+        try {
+            block = dimension.getBlock(loc);
+        } catch {}
+        if (!block) return null;
+        if (MachineRegistry.isConduit(block.typeId)) return "conduit";
+        if (MachineRegistry.has(block.typeId)) return Machine.findIdByLocation(loc, dimension.id);
+        return null;
+    }
 
-    do {
-        uuid = "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, c => {
-            const r = (Math.random() * 16) | 0;
-            const v = c === "x" ? r : (r & 0x3) | 0x8;
-            return v.toString(16);
-        });
-    } while (obj.hasParticipant(uuid));
+    /**
+     * Flood fills from a block, marking everything reached as visited
+     * @returns {{conduits: number, machines: string[]}} What was reached
+     */
+    function explore(dimension, start, startNode, visited) {
+        const reached = { conduits: 0, machines: [] };
+        const queue = [[start, startNode]];
+        visited.add(`${start.x}:${start.y}:${start.z}`);
+
+        for (let i = 0; i < queue.length && i < maxBlocks; i++) {
+            const [loc, node] = queue[i];
+            if (node === "conduit") reached.conduits++;
+            else reached.machines.push(node);
+
+            for (const next of neighbors(loc)) {
+                const key = `${next.x}:${next.y}:${next.z}`;
+                if (visited.has(key)) continue;
+                const nextNode = classify(dimension, next);
+                if (!nextNode) continue;
+                if (node !== "conduit" && nextNode !== "conduit") continue;
+                visited.add(key);
+                queue.push([next, nextNode]);
+            }
+        }
 
-    obj.setScore(uuid, 1);
+        return reached;
+    }
 
-    return uuid;
-}
+    function assign(machineId, networkId) {
+        const machine = Machine.reconstructFromId(machineId);
+        if (!machine) return;
+        machine.network = networkId;
+        updateRecord(machineId, { network: networkId });
+    }
 
-function freeUUID(uuid) {
-    const obj = world.scoreboard.getObjective(uuidObj) ?? world.scoreboard.addObjective(uuidObj, uuidObj);
-    if (obj.hasParticipant(uuid)) {
-        obj.removeParticipant(uuid);
+    /**
+     * Rebuilds the networks touching a block
+     * Call after placing or removing machines or conduits from script,
+     * player placing and breaking is handled automatically
+     * @param {Dimension} dimension - Dimension of the block
+     * @param {{x:number, y:number, z:number}} location - Block location
+     */
+    function refresh(dimension, location) {
+        const visited = new Set();
+        const replaced = new Set();
+
+        for (const seed of [location, ...neighbors(location)]) {
+            if (visited.has(`${seed.x}:${seed.y}:${seed.z}`)) continue;
+            const node = classify(dimension, seed);
+            if (!node) continue;
+
+            const reached = explore(dimension, seed, node, visited);
+            let networkId = null;
+            if (reached.conduits > 0 && reached.machines.length > 0) {
+                networkId = `${Storage.read("nextNetwork") ?? 0}`;
+                Storage.write("nextNetwork", Number(networkId) + 1);
+                Storage.write(`network:${networkId}`, reached.machines);
+            }
+
+            for (const machineId of reached.machines) {
+                const previous = Storage.read(`machine:${machineId}`)?.network;
+                if (previous && previous !== networkId) replaced.add(previous);
+                assign(machineId, networkId);
+            }
+        }
+
+        // Drop members that moved to a rebuilt network
+        for (const networkId of replaced) {
+            const members = get(networkId).filter(id => Storage.read(`machine:${id}`)?.network === networkId);
+            if (members.length) Storage.write(`network:${networkId}`, members);
+            else Storage.remove(`network:${networkId}`);
+        }
+    }
+
+    /**
+     * Gets the machine ids on a network
+     * @param {String} networkId - Network id
+     * @returns {string[]} Machine ids
+     */
+    function get(networkId) {
+        return Storage.read(`network:${networkId}`) ?? [];
+    }
+
+    /**
+     * Removes a machine from a network
+     * @param {String} networkId - Network id
+     * @param {string} machineId - Machine id
+     */
+    function removeMember(networkId, machineId) {
+        const members = get(networkId).filter(id => id !== machineId);
+        if (members.length) Storage.write(`network:${networkId}`, members);
+        else Storage.remove(`network:${networkId}`);
     }
+
+    return { refresh, get, removeMember };
+})();
+
+/**
+ * Finds and removes machines whose block or entity no longer exists,
+ * for example after /setblock, /fill, world editors or a crash between events.
+ * Sweeps run as a background job so large worlds do not stall a tick.
+ * Machines in unloaded chunks, unloaded entities and custom (non block) IDs are left alone.
+ */
+export const MachineReconciler = (() => {
+    let current = null;
+    let intervalHandle = null;
+
+    function* sweep(report) {
+        const ids = Storage.keys("machine");
+        const alive = new Set(ids);
+
+        for (const id of ids) {
+            const record = Storage.read(`machine:${id}`);
+            if (!record) {
+                alive.delete(id);
+                continue;
+            }
+            report.checked++;
+
+            const state = inspect(record);
+            if (state === "stale") {
+                Machine.deleteId(id);
+                alive.delete(id);
+                report.removed.push(id);
+            } else if (state === "skipped") {
+                report.skipped++;
+            } else if (state !== record.typeId) {
+                updateRecord(id, { typeId: state });
+                const cached = Machine.cache.get(cacheKey(record));
+                if (cached) cached.typeId = state;
+                report.adopted++;
+            }
+            yield;
+        }
+
+        // Machines can be placed, linked or deleted while the sweep waits between ticks,
+        // so ids are checked against storage as they are examined rather than against the snapshot
+        const exists = id => Storage.read(`machine:${id}`) !== undefined;
+        for (const id of alive) {
+            const record = Storage.read(`machine:${id}`);
+            if (!record) continue;
+            const dangling = Object.keys(record.links).filter(linkedId => !exists(linkedId));
+            if (dangling.length) {
+                for (const linkedId of dangling) delete record.links[linkedId];
+                Storage.write(`machine:${id}`, record);
+                report.linksRemoved += dangling.length;
+            }
+            yield;
+        }
+
+        for (const uuid of Storage.keys("uuid")) {
+            if (exists(uuid)) continue;
+            freeUUID(uuid);
+            report.uuidsFreed++;
+        }
+        for (const id of alive) {
+            if (!exists(id) || Storage.read(`uuid:${id}`) !== undefined) continue;
+            Storage.write(`uuid:${id}`, true);
+            report.uuidsRestored++;
+        }
+        yield;
+
+        // Index entries can outlive their machine, e.g. when an entity machine was indexed by older versions
+        report.indexRemoved = yield* LocationIndex.prune();
+        for (const id of alive) {
+            const record = Storage.read(`machine:${id}`);
+            if (!record || record.entityId) continue;
+            if (LocationIndex.get(record.dimension, record) === null) LocationIndex.add(record.dimension, record, id);
+        }
+    }
+
+    /**
+     * Decides what to do with a stored machine
+     * @returns {String} "stale", "skipped", or the typeId the machine should have
+     */
+    function inspect(record) {
+        if (record.entityId) {
+            let entity;
+            try {
+                entity = world.getEntity(record.entityId);
+            } catch {}
+            if (!entity) return "skipped";
+            return entity.typeId === record.typeId ? record.typeId : "stale";
+        }
+
+        if (record.typeId && !BlockTypes.get(record.typeId)) return "skipped";
+
+        let block;
+        try {
+            const dimId = DimensionRegistry.toId(record.dimension);
+            block = dimId ? world.getDimension(dimId).getBlock(record) : undefined;
+        } catch {}
+        if (!block || block.typeId === "minecraft:moving_block") return "skipped";
+
+        if (!record.typeId) {
+            // Migrated from scoreboards without a typeId, adopt the block if it is a machine
+            return MachineRegistry.has(block.typeId) ? block.typeId : "skipped";
+        }
+        return block.typeId === record.typeId ? record.typeId : "stale";
+    }
+
+    /**
+     * Runs one sweep
+     * Calling again while a sweep is running returns the running sweep
+     * @returns {Promise<{checked: number, skipped: number, adopted: number, removed: string[], linksRemoved: number, uuidsFreed: number, uuidsRestored: number, indexRemoved: number}>} What was cleaned
+     */
+    function run() {
+        if (current) return current;
+        const report = { checked: 0, skipped: 0, adopted: 0, removed: [], linksRemoved: 0, uuidsFreed: 0, uuidsRestored: 0, indexRemoved: 0 };
+        current = new Promise((resolve, reject) => {
+            system.runJob((function* () {
+                try {
+                    yield* sweep(report);
+                    resolve(report);
+                } catch (error) {
+                    reject(error);
+                } finally {
+                    current = null;
+                }
+            })());
+        });
+        return current;
+    }
+
+    /**
+     * Runs a sweep every so often
+     * @param {Number} [ticks=6000] - Ticks between sweeps
+     * @param {(report) => void} [onReport] - Called with each sweep's report
+     */
+    function schedule(ticks = 6000, onReport) {
+        unschedule();
+        intervalHandle = system.runInterval(() => {
+            run().then(report => onReport?.(report)).catch(error => console.warn(`[KyloWat] Reconciliation failed: ${error}`));
+        }, ticks);
+    }
+
+    /**
+     * Stops scheduled sweeps
+     */
+    function unschedule() {
+        if (intervalHandle !== null) system.clearRun(intervalHandle);
+        intervalHandle = null;
+    }
+
+    /**
+     * Checks if a sweep is running
+     * @returns True/False
+     */
+    function isRunning() {
+        return current !== null;
+    }
+
+    return { run, schedule, unschedule, isRunning };
+})();
+
+/**
+ * Formats energy amounts for display.
+ * Units without a defined scale get SI prefixes (J, kJ, MJ, ...),
+ * custom units can define their own steps.
+ */
+export const EnergyUnits = (() => {
+    const siPrefixes = ["", "k", "M", "G", "T", "P", "E"];
+    const scales = new Map();
+    let defaultUnit = "J";
+
+    /**
+     * Defines the display steps of a custom unit
+     * @param {String} unit - Unit name
+     * @param {{factor: number, symbol: String}[]} steps - Steps, e.g. [{factor: 1, symbol: "mB"}, {factor: 1000, symbol: "B"}]
+     */
+    function define(unit, steps) {
+        if (!Array.isArray(steps) || !steps.length) throw new Error("A unit needs at least one step");
+        for (const step of steps) {
+            if (!(step.factor > 0) || typeof step.symbol !== "string") throw new Error(`Invalid unit step for ${unit}`);
+        }
+        scales.set(unit, [...steps].sort((a, b) => a.factor - b.factor));
+    }
+
+    /**
+     * Sets the unit format uses when none is given
+     * @param {String} unit - Unit name
+     */
+    function setDefaultUnit(unit) {
+        defaultUnit = unit;
+    }
+
+    function stepsFor(unit) {
+        return scales.get(unit) ?? siPrefixes.map((prefix, i) => ({ factor: 1000 ** i, symbol: prefix + unit }));
+    }
+
+    /**
+     * Formats an amount with the largest step that keeps it at 1 or more
+     * @param {number} amount - Energy amount
+     * @param {String} [unit] - Unit name, the default unit if left out
+     * @param {number} [decimals=2] - Most decimal places shown, trailing zeros are dropped
+     * @returns {String} Formatted amount, e.g. "1.5 kJ"
+     */
+    function format(amount, unit = defaultUnit, decimals = 2) {
+        if (!Number.isFinite(amount)) return `${amount} ${unit}`;
+        const steps = stepsFor(unit);
+        let step = steps[0];
+        for (const candidate of steps) {
+            if (Math.abs(amount) >= candidate.factor) step = candidate;
+        }
+        const value = Number((amount / step.factor).toFixed(decimals));
+        return `${value} ${step.symbol}`;
+    }
+
+    return { define, setDefaultUnit, format };
+})();
+
+/**
+ * Rolling throughput statistics over the last few Energy System cycles.
+ * Per machine it counts energy received, generated, sent and consumed by run(),
+ * and how often run() failed. Networks are machines connected by links
+ * in either direction or by conduits, and their statistics are the sums of their machines.
+ */
+export const EnergyStats = (() => {
+    let windowSize = 20;
+    let components = null;
+    const current = new Map();
+    const history = new Map();
+
+    const fields = ["received", "generated", "sent", "consumed", "failures"];
+    const emptySample = () => ({ received: 0, generated: 0, sent: 0, consumed: 0, failures: 0 });
+
+    function sampleFor(id) {
+        let sample = current.get(id);
+        if (!sample) {
+            sample = emptySample();
+            current.set(id, sample);
+        }
+        return sample;
+    }
+
+    // Only the energy buffer is tracked
+    MachineEvents.energyTransferred.subscribe(ev => {
+        if (ev.resource !== "energy") return;
+        sampleFor(ev.source.id).sent += ev.amount;
+        sampleFor(ev.target.id).received += ev.received;
+    });
+    MachineEvents.energyGenerated.subscribe(ev => {
+        if (ev.resource !== "energy") return;
+        sampleFor(ev.machine.id).generated += ev.amount;
+    });
+    MachineEvents.machineRan.subscribe(ev => {
+        if (ev.resource !== "energy") return;
+        sampleFor(ev.machine.id).consumed += ev.energyCost;
+    });
+    MachineEvents.runFailed.subscribe(ev => {
+        sampleFor(ev.machine.id).failures++;
+    });
+    MachineEvents.machineDeleted.subscribe(ev => {
+        current.delete(ev.id);
+        history.delete(ev.id);
+    });
+
+    /**
+     * Closes the current cycle, the Energy System calls this after every cycle
+     */
+    function endCycle() {
+        for (const id of new Set([...current.keys(), ...history.keys()])) {
+            const sample = current.get(id) ?? emptySample();
+            let entry = history.get(id);
+            if (!entry) {
+                entry = { samples: [], totals: emptySample() };
+                history.set(id, entry);
+            }
+
+            entry.samples.push(sample);
+            for (const field of fields) entry.totals[field] += sample[field];
+            while (entry.samples.length > windowSize) {
+                const old = entry.samples.shift();
+                for (const field of fields) entry.totals[field] -= old[field];
+            }
+
+            if (fields.every(field => entry.totals[field] === 0)) history.delete(id);
+        }
+        current.clear();
+        components = null;
+    }
+
+    function summarize(totals) {
+        const energyIn = totals.received + totals.generated;
+        const energyOut = totals.sent + totals.consumed;
+        return {
+            window: windowSize,
+            received: totals.received,
+            generated: totals.generated,
+            sent: totals.sent,
+            consumed: totals.consumed,
+            failures: totals.failures,
+            energyIn,
+            energyOut,
+            netPerCycle: (energyIn - energyOut) / windowSize
+        };
+    }
+
+    /**
+     * Gets the statistics of one machine over the window
+     * @param {Machine|string} machine - Machine or machine id
+     * @returns {{window: number, received: number, generated: number, sent: number, consumed: number, failures: number, energyIn: number, energyOut: number, netPerCycle: number}} Totals over the window
+     */
+    function getMachine(machine) {
+        const id = typeof machine === "string" ? machine : machine.id;
+        return summarize(history.get(id)?.totals ?? emptySample());
+    }
+
+    /**
+     * Groups the loaded machines into connected networks
+     * Rebuilt at most once per cycle
+     */
+    function buildComponents() {
+        const adjacency = new Map();
+        const connect = (a, b) => {
+            if (!adjacency.has(a)) adjacency.set(a, new Set());
+            if (!adjacency.has(b)) adjacency.set(b, new Set());
+            adjacency.get(a).add(b);
+            adjacency.get(b).add(a);
+        };
+        for (const machine of Machine.cache.values()) {
+            if (!adjacency.has(machine.id)) adjacency.set(machine.id, new Set());
+            for (const { machine: target } of machine.getLinks()) connect(machine.id, target.id);
+            for (const neighbor of machine.getFaceNeighbors()) connect(machine.id, neighbor.id);
+            if (machine.network) {
+                for (const peerId of ConduitNetworks.get(machine.network)) {
+                    if (peerId !== machine.id) connect(machine.id, peerId);
+                }
+            }
+        }
+
+        components = new Map();
+        for (const start of adjacency.keys()) {
+            if (components.has(start)) continue;
+            const members = [start];
+            components.set(start, members);
+            for (let i = 0; i < members.length; i++) {
+                for (const next of adjacency.get(members[i]) ?? []) {
+                    if (components.has(next)) continue;
+                    components.set(next, members);
+                    members.push(next);
+                }
+            }
+        }
+    }
+
+    /**
+     * Gets the summed statistics of the network a machine belongs to
+     * @param {Machine|string} machine - Machine or machine id
+     * @returns {Object} Same fields as getMachine, plus machines: the machine ids in the network
+     */
+    function getNetwork(machine) {
+        const id = typeof machine === "string" ? machine : machine.id;
+        if (!components) buildComponents();
+        const members = components.get(id) ?? [id];
+
+        const totals = emptySample();
+        for (const memberId of members) {
+            const entry = history.get(memberId);
+            if (!entry) continue;
+            for (const field of fields) totals[field] += entry.totals[field];
+        }
+        return Object.assign(summarize(totals), { machines: [...members] });
+    }
+
+    /**
+     * Changes how many cycles the statistics cover
+     * @param {number} cycles - Number of cycles, 1 or more
+     */
+    function setWindow(cycles) {
+        if (typeof cycles === "number" && cycles >= 1) {
+            windowSize = Math.floor(cycles);
+            reset();
+        }
+    }
+
+    /**
+     * Clears all statistics
+     */
+    function reset() {
+        current.clear();
+        history.clear();
+        components = null;
+    }
+
+    return { endCycle, getMachine, getNetwork, setWindow, reset };
+})();
+
+/**
+ * Item players use to link machines by hand, with particle lines showing links.
+ * Use the item on a source machine, then on a target to link them,
+ * sneak while using it on the target to remove the link instead.
+ * Using it in the air toggles the link particles, sneaking while doing so clears the selection.
+ */
+export const LinkingTool = (() => {
+    let enabled = false;
+    let itemId = "minecraft:stick";
+    let maxRange = 32;
+    let particle = "minecraft:villager_happy";
+    let viewRadius = 24;
+    let visualizeHandle = null;
+    const selections = new Map();
+    const viewers = new Set();
+
+    world.afterEvents.playerInteractWithBlock.subscribe(ev => {
+        if (!enabled || !ev.isFirstEvent || ev.itemStack?.typeId !== itemId) return;
+        if (!MachineRegistry.has(ev.block.typeId)) return;
+        const id = Machine.findIdByLocation(ev.block.location, ev.block.dimension.id);
+        if (id) select(ev.player, Machine.reconstructFromId(id));
+    });
+
+    world.afterEvents.playerInteractWithEntity.subscribe(ev => {
+        if (!enabled || ev.itemStack?.typeId !== itemId) return;
+        const machine = Machine.fromEntity(ev.target);
+        if (machine) select(ev.player, machine);
+    });
+
+    world.afterEvents.itemUse.subscribe(ev => {
+        if (!enabled || ev.itemStack?.typeId !== itemId) return;
+        const player = ev.source;
+        if (player.isSneaking) {
+            selections.delete(player.id);
+            feedback(player, "Selection cleared");
+            return;
+        }
+        feedback(player, toggleVisualization(player) ? "Showing links" : "Hiding links");
+    });
+
+    function feedback(player, message) {
+        player.onScreenDisplay.setActionBar(message);
+    }
+
+    function select(player, machine) {
+        const sourceId = selections.get(player.id);
+        if (!sourceId || sourceId === machine.id) {
+            selections.set(player.id, machine.id);
+            feedback(player, `Source selected: ${machine.typeId}`);
+            return;
+        }
+
+        const source = Machine.reconstructFromId(sourceId);
+        selections.delete(player.id);
+        if (!source) {
+            feedback(player, "§cSource machine no longer exists");
+            return;
+        }
+
+        if (player.isSneaking) {
+            source.unlinkMachine(machine);
+            feedback(player, "Link removed");
+            return;
+        }
+
+        const from = source.location;
+        const to = machine.location;
+        const distance = Math.hypot(from.x - to.x, from.y - to.y, from.z - to.z);
+        if (source.dim !== machine.dim || distance > maxRange) {
+            feedback(player, `§cOut of range (max ${maxRange} blocks)`);
+            return;
+        }
+        if (!source.linkMachine(machine)) {
+            feedback(player, "§cOut of range for this machine");
+            return;
+        }
+        feedback(player, "Machines linked");
+    }
+
+    function drawLinks() {
+        for (const player of world.getAllPlayers()) {
+            if (!viewers.has(player.id)) continue;
+            const dimension = player.dimension;
+            for (const id of Machine.findIdsInRadius(floorLocation(player.location), viewRadius, dimension.id)) {
+                const source = Machine.reconstructFromId(id);
+                if (!source) continue;
+                for (const { machine: target } of source.getLinks()) {
+                    if (target.dim !== source.dim) continue;
+                    drawLine(dimension, source.location, target.location);
+                }
+            }
+        }
+    }
+
+    function drawLine(dimension, from, to) {
+        const dx = to.x - from.x, dy = to.y - from.y, dz = to.z - from.z;
+        const steps = Math.min(Math.ceil(Math.hypot(dx, dy, dz) * 2), 128);
+        for (let i = 0; i <= steps; i++) {
+            const t = steps ? i / steps : 0;
+            try {
+                dimension.spawnParticle(particle, {x: from.x + 0.5 + dx * t, y: from.y + 0.5 + dy * t, z: from.z + 0.5 + dz * t});
+            } catch {}
+        }
+    }
+
+    /**
+     * Turns the linking tool on
+     * @param {Object} [options]
+     * @param {String} [options.item="minecraft:stick"] - Item ID used as the tool
+     * @param {number} [options.maxRange=32] - Longest link the tool creates, in blocks
+     * @param {String} [options.particle="minecraft:villager_happy"] - Particle drawn along links
+     * @param {number} [options.viewRadius=24] - Links of machines this close to the player are drawn
+     * @param {number} [options.interval=10] - Ticks between particle redraws
+     */
+    function enable(options = {}) {
+        itemId = options.item ?? itemId;
+        maxRange = options.maxRange ?? maxRange;
+        particle = options.particle ?? particle;
+        viewRadius = options.viewRadius ?? viewRadius;
+        enabled = true;
+        if (visualizeHandle !== null) system.clearRun(visualizeHandle);
+        visualizeHandle = system.runInterval(drawLinks, options.interval ?? 10);
+    }
+
+    /**
+     * Turns the linking tool off and stops drawing links
+     */
+    function disable() {
+        enabled = false;
+        selections.clear();
+        viewers.clear();
+        if (visualizeHandle !== null) system.clearRun(visualizeHandle);
+        visualizeHandle = null;
+    }
+
+    /**
+     * Turns link particles on or off for a player
+     * @param {Player} player - Player to toggle for
+     * @returns {boolean} True if particles are now shown
+     */
+    function toggleVisualization(player) {
+        if (viewers.delete(player.id)) return false;
+        viewers.add(player.id);
+        return true;
+    }
+
+    return { enable, disable, toggleVisualization };
+})();
+
+/**
+ * Controls when machine state is saved.
+ * Changes are kept in memory and saved in batches, so a cycle over many machines
+ * writes each changed machine once instead of on every transfer.
+ */
+export const Persistence = (() => {
+    /**
+     * Saves every pending change now
+     * @returns {number} Number of keys written
+     */
+    function flush() {
+        return Storage.flush();
+    }
+
+    /**
+     * Sets how long changes wait before they are saved
+     * @param {number} ticks - Ticks between the first change and the save, 20 by default
+     */
+    function setFlushInterval(ticks) {
+        Storage.setFlushInterval(ticks);
+    }
+
+    /**
+     * Sets how many changes are saved per tick once the flush interval runs out
+     * Larger batches are spread over the following ticks, flush still saves everything at once
+     * @param {number} count - Keys per tick, 256 by default
+     */
+    function setMaxWritesPerTick(count) {
+        Storage.setWriteLimit(count);
+    }
+
+    /**
+     * Counts the changes waiting to be saved
+     * @returns {number} Number of keys
+     */
+    function getPendingWrites() {
+        return Storage.pending();
+    }
+
+    return { flush, setFlushInterval, setMaxWritesPerTick, getPendingWrites };
+})();
+
+/**
+ * Registers the operator-only /kylowat: commands for inspecting and editing machines
+ * Command callbacks cannot change the world, so the work runs on the next tick
+ * and the result is sent to whoever ran the command
+ * @param {CustomCommandRegistry} registry - Registry from the startup event
+ */
+function registerAdminCommands(registry) {
+    const position = (name) => ({ name, type: CustomCommandParamType.Location });
+    // Keeps /kylowat:list from walking huge areas of the location index
+    const maxListRadius = 256;
+
+    const add = (name, description, mandatoryParameters, optionalParameters, handler) => {
+        registry.registerCommand({
+            name: `kylowat:${name}`,
+            description,
+            permissionLevel: CommandPermissionLevel.Admin,
+            mandatoryParameters,
+            optionalParameters
+        }, (origin, ...args) => {
+            system.run(() => {
+                try {
+                    reply(origin, handler(origin, ...args));
+                } catch (error) {
+                    reply(origin, `§c${error}`);
+                }
+            });
+            return undefined;
+        });
+    };
+
+    add("inspect", "Shows a machine's values and links", [], [position("position")], (origin, loc) => {
+        const machine = loc ? machineAt(originDimension(origin), loc) : lookedAtMachine(origin);
+        if (!machine) return "§cNo machine found";
+        return describeMachine(machine);
+    });
+
+    add("list", "Lists machines within a radius", [{ name: "radius", type: CustomCommandParamType.Integer }], [], (origin, radius) => {
+        const center = origin.sourceEntity?.location ?? origin.sourceBlock?.location;
+        if (!center) return "§cThis command needs a position to search from";
+        if (radius < 0 || radius > maxListRadius) return `§cRadius must be between 0 and ${maxListRadius}`;
+        const ids = Machine.findIdsInRadius(floorLocation(center), radius, originDimension(origin));
+        if (!ids.length) return "No machines in range";
+        return ids.map(id => {
+            const machine = Machine.reconstructFromId(id);
+            const loc = machine.location;
+            return `§b${machine.typeId ?? "unknown"} §7${loc.x} ${loc.y} ${loc.z} §c${EnergyUnits.format(machine.currentEnergy)}/${EnergyUnits.format(machine.maxEnergy)} §8${id}`;
+        }).join("\n");
+    });
+
+    add("setenergy", "Sets a machine's energy", [position("position"), { name: "amount", type: CustomCommandParamType.Float }], [], (origin, loc, amount) => {
+        const machine = machineAt(originDimension(origin), loc);
+        if (!machine) return "§cNo machine found";
+        const target = Math.max(0, Math.min(amount, machine.maxEnergy));
+        if (target > machine.currentEnergy) machine.addEnergy(target - machine.currentEnergy);
+        else machine.removeEnergy(machine.currentEnergy - target);
+        return `Energy set to ${EnergyUnits.format(machine.currentEnergy)}/${EnergyUnits.format(machine.maxEnergy)}`;
+    });
+
+    add("addenergy", "Adds energy to a machine, negative amounts remove it", [position("position"), { name: "amount", type: CustomCommandParamType.Float }], [], (origin, loc, amount) => {
+        const machine = machineAt(originDimension(origin), loc);
+        if (!machine) return "§cNo machine found";
+        if (amount >= 0) machine.addEnergy(amount);
+        else machine.removeEnergy(-amount);
+        return `Energy is now ${EnergyUnits.format(machine.currentEnergy)}/${EnergyUnits.format(machine.maxEnergy)}`;
+    });
+
+    add("link", "Links one machine to another", [position("from"), position("to")], [{ name: "priority", type: CustomCommandParamType.Integer }], (origin, from, to, priority = 1) => {
+        const dimension = originDimension(origin);
+        const source = machineAt(dimension, from);
+        const target = machineAt(dimension, to);
+        if (!source || !target) return "§cBoth positions need a machine";
+        if (!source.linkMachine(target, priority)) return "§cTarget is out of the source's link range";
+        return `Linked ${source.id} to ${target.id} with priority ${priority}`;
+    });
+
+    add("unlink", "Removes a link between two machines", [position("from"), position("to")], [], (origin, from, to) => {
+        const dimension = originDimension(origin);
+        const source = machineAt(dimension, from);
+        const target = machineAt(dimension, to);
+        if (!source || !target) return "§cBoth positions need a machine";
+        source.unlinkMachine(target);
+        return `Unlinked ${source.id} from ${target.id}`;
+    });
+
+    add("delete", "Deletes the machine at a position, leaving the block", [position("position")], [], (origin, loc) => {
+        const machine = machineAt(originDimension(origin), loc);
+        if (!machine) return "§cNo machine found";
+        machine.delete();
+        return `Deleted ${machine.id}`;
+    });
+
+    add("purge", "Removes machines whose block or entity no longer exists", [], [], (origin) => {
+        MachineReconciler.run().then(report => {
+            reply(origin, `Checked ${report.checked}, skipped ${report.skipped}, removed ${report.removed.length} machines and ${report.linksRemoved} links`);
+        }).catch(error => reply(origin, `§c${error}`));
+        return "Purging orphaned machines...";
+    });
+}
+
+/**
+ * Sends a command result to whoever ran the command
+ */
+function reply(origin, message) {
+    const source = origin.sourceEntity ?? origin.initiator;
+    if (source && typeof source.sendMessage === "function") source.sendMessage(message);
+    else console.log(message);
+}
+
+/**
+ * Gets the dimension a command was run in
+ */
+function originDimension(origin) {
+    return origin.sourceEntity?.dimension ?? origin.sourceBlock?.dimension ?? world.getDimension("minecraft:overworld");
+}
+
+/**
+ * Finds the block or entity machine at a position
+ * @param {Dimension} dimension - Dimension to search
+ * @param {{x:number, y:number, z:number}} loc - Position, may be fractional
+ * @returns {Machine|null} Machine or null
+ */
+function machineAt(dimension, loc) {
+    const blockLoc = floorLocation(loc);
+    const id = Machine.findIdByLocation(blockLoc, dimension.id);
+    if (id) return Machine.reconstructFromId(id);
+    for (const entity of dimension.getEntities({ location: {x: blockLoc.x + 0.5, y: blockLoc.y, z: blockLoc.z + 0.5}, maxDistance: 1.5 })) {
+        const machine = Machine.fromEntity(entity);
+        if (machine) return machine;
+    }
+    return null;
+}
+
+/**
+ * Finds the machine the command source is looking at
+ */
+function lookedAtMachine(origin) {
+    const source = origin.sourceEntity;
+    if (!source) return null;
+    for (const hit of source.getEntitiesFromViewDirection({ maxDistance: 8 })) {
+        const machine = Machine.fromEntity(hit.entity);
+        if (machine) return machine;
+    }
+    const hit = source.getBlockFromViewDirection({ maxDistance: 8 });
+    if (!hit) return null;
+    const id = Machine.findIdByLocation(hit.block.location, hit.block.dimension.id);
+    return id ? Machine.reconstructFromId(id) : null;
+}
+
+/**
+ * Formats a machine's values for chat
+ */
+function describeMachine(machine) {
+    const loc = machine.location;
+    const lines = [
+        `§bID: §c${machine.id}`,
+        `§bType: §c${machine.typeId ?? "unknown"}${machine.entityId ? " (entity)" : ""}`,
+        `§bLocation: §c${DimensionRegistry.toId(machine.dim) ?? machine.dim} ${loc.x} ${loc.y} ${loc.z}`,
+        `§bEnergy: §c${EnergyUnits.format(machine.currentEnergy)}/${EnergyUnits.format(machine.maxEnergy)}`,
+        `§bCost: §c${EnergyUnits.format(machine.energyCost)} §bTransfer rate: §c${EnergyUnits.format(machine.transferRate)}`,
+        `§bRole: §c${machine.getRole()} §bDistribution: §c${machine.getDistribution()}${machine.idle ? " §e(idle)" : ""}`,
+        `§bNetwork: §c${machine.network ?? "none"}`
+    ];
+    for (const resource of machine.getResources().slice(1)) {
+        lines.push(`§b${resource}: §c${EnergyUnits.format(machine.getAmount(resource))}/${EnergyUnits.format(machine.getCapacity(resource))}`);
+    }
+    if (machine.upgrades.length) lines.push(`§bUpgrades: §c${machine.upgrades.join(", ")}`);
+    const faces = Object.keys(faceOffsets).filter(face => machine.getFace(face) !== FaceMode.DISABLED);
+    if (faces.length) lines.push(`§bFaces: §c${faces.map(face => `${face} ${machine.getFace(face)}`).join(", ")}`);
+    const links = machine.getLinks();
+    lines.push(`§bLinks: §c${links.length ? "" : "none"}`);
+    for (const { machine: target, priority } of links) {
+        const targetLoc = target.location;
+        lines.push(`§7 - ${target.id} §8(${targetLoc.x} ${targetLoc.y} ${targetLoc.z}) §7priority ${priority}`);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Persists machines, registrations and UUIDs as JSON in world dynamic properties.
+ * Legacy scoreboard data is migrated the first time storage is touched.
+ * Values are kept in memory, missing keys are not, and changed keys are written out together
+ * a few ticks after the first change, or when flush is called.
+ * Timed writes are spread over several ticks, and keys that fail to save stay pending.
+ * Dynamic property strings are limited to about 32 KB, so long values are split over
+ * numbered part properties and the key itself only holds the number of parts.
+ */
+const Storage = (() => {
+    const prefix = "kylowat:";
+    const schemaKey = `${prefix}schema`;
+    const schemaVersion = 2;
+    // At most 3 bytes per UTF-16 unit keeps every part under the limit
+    const partLength = 8000;
+    const partMarker = "#parts:";
+    const partSuffix = "#part";
+    const values = new Map();
+    const dirty = new Set();
+    let ready = false;
+    let flushTicks = 20;
+    let writeLimit = 256;
+    let flushRun = null;
+
+    function partCount(key) {
+        const raw = world.getDynamicProperty(prefix + key);
+        return typeof raw === "string" && raw.startsWith(partMarker) ? Number(raw.slice(partMarker.length)) : 0;
+    }
+
+    /**
+     * Reads the JSON text of a key, joining its parts if it was split
+     * @returns {string|undefined} Text or undefined if missing or incomplete
+     */
+    function readText(key) {
+        const raw = world.getDynamicProperty(prefix + key);
+        if (typeof raw !== "string" || !raw.startsWith(partMarker)) return raw;
+        const count = Number(raw.slice(partMarker.length));
+        let text = "";
+        for (let i = 0; i < count; i++) {
+            const part = world.getDynamicProperty(`${prefix}${key}${partSuffix}${i}`);
+            if (typeof part !== "string") return undefined;
+            text += part;
+        }
+        return text;
+    }
+
+    /**
+     * Writes the JSON text of a key, splitting it into parts when it is too long
+     * Parts left over from a longer previous value are removed
+     * @param {string|undefined} text - Text, or undefined to remove the key
+     */
+    function writeText(key, text) {
+        const previous = partCount(key);
+        const count = text !== undefined && text.length > partLength ? Math.ceil(text.length / partLength) : 0;
+        for (let i = 0; i < count; i++) {
+            world.setDynamicProperty(`${prefix}${key}${partSuffix}${i}`, text.slice(i * partLength, (i + 1) * partLength));
+        }
+        world.setDynamicProperty(prefix + key, count ? `${partMarker}${count}` : text);
+        for (let i = count; i < previous; i++) world.setDynamicProperty(`${prefix}${key}${partSuffix}${i}`, undefined);
+    }
+
+    function ensureReady() {
+        if (ready) return;
+        ready = true;
+        const stored = world.getDynamicProperty(schemaKey) ?? 0;
+        if (stored >= schemaVersion) return;
+        if (stored < 1) migrateScoreboards();
+        if (stored < 2) LocationIndex.rebuild();
+        world.setDynamicProperty(schemaKey, schemaVersion);
+    }
+
+    /**
+     * Reads a stored value
+     * Only found values are cached, so probing for keys that do not exist costs no memory
+     * @param {String} key - Key without the kylowat prefix
+     * @returns {any} Parsed value or undefined
+     */
+    function read(key) {
+        ensureReady();
+        if (values.has(key)) return values.get(key);
+        const raw = readText(key);
+        if (typeof raw !== "string") return undefined;
+        let value;
+        try {
+            value = JSON.parse(raw);
+        } catch {
+            return undefined;
+        }
+        values.set(key, value);
+        return value;
+    }
+
+    /**
+     * Writes a value
+     * The returned object of read is the stored one, so write it back after changing it
+     * @param {String} key - Key without the kylowat prefix
+     * @param {any} value - JSON serializable value
+     */
+    function write(key, value) {
+        ensureReady();
+        values.set(key, value);
+        markDirty(key);
+    }
+
+    /**
+     * Removes a stored value
+     * @param {String} key - Key without the kylowat prefix
+     */
+    function remove(key) {
+        ensureReady();
+        values.set(key, undefined);
+        markDirty(key);
+    }
+
+    /**
+     * Lists the stored keys of a group
+     * @param {String} group - Group name, e.g. "machine"
+     * @returns {String[]} Keys without the group prefix
+     */
+    function keys(group) {
+        ensureReady();
+        const groupPrefix = `${group}:`;
+        const found = new Set(world.getDynamicPropertyIds()
+            .filter(key => key.startsWith(prefix) && !key.includes(partSuffix))
+            .map(key => key.slice(prefix.length)));
+        for (const [key, value] of values) {
+            if (value === undefined) found.delete(key);
+            else found.add(key);
+        }
+        return [...found]
+            .filter(key => key.startsWith(groupPrefix))
+            .map(key => key.slice(groupPrefix.length));
+    }
+
+    function markDirty(key) {
+        dirty.add(key);
+        if (flushRun === null) flushRun = system.runTimeout(flushBatch, flushTicks);
+    }
+
+    /**
+     * Writes changed keys to world dynamic properties
+     * A key that fails to save stays pending and moves to the back of the queue
+     * @param {number} limit - Most keys to try
+     * @returns {number} Number of keys written
+     */
+    function writeKeys(limit) {
+        const batch = [];
+        for (const key of dirty) {
+            if (batch.length >= limit) break;
+            batch.push(key);
+        }
+
+        let written = 0;
+        for (const key of batch) {
+            const value = values.get(key);
+            dirty.delete(key);
+            try {
+                writeText(key, value === undefined ? undefined : JSON.stringify(value));
+                // Removed keys only stay cached until the removal is saved
+                if (value === undefined) values.delete(key);
+                written++;
+            } catch (error) {
+                dirty.add(key);
+                console.warn(`[KyloWat] Could not save ${key}: ${error}`);
+            }
+        }
+        return written;
+    }
+
+    /**
+     * Writes the next batch of changes and schedules the one after it
+     * Keeps going every tick while there is progress, and retries failed keys after the flush interval
+     */
+    function flushBatch() {
+        flushRun = null;
+        const written = writeKeys(writeLimit);
+        if (dirty.size > 0) flushRun = system.runTimeout(flushBatch, written > 0 ? 1 : flushTicks);
+    }
+
+    /**
+     * Writes every changed key now
+     * Keys that fail to save are retried after the flush interval
+     * @returns {number} Number of keys written
+     */
+    function flush() {
+        if (flushRun !== null) system.clearRun(flushRun);
+        flushRun = null;
+        const written = writeKeys(Infinity);
+        if (dirty.size > 0) flushRun = system.runTimeout(flushBatch, flushTicks);
+        return written;
+    }
+
+    /**
+     * Sets how many ticks changes wait before they are written
+     * @param {number} ticks - Ticks between the first change and the write
+     */
+    function setFlushInterval(ticks) {
+        if (!Number.isInteger(ticks) || ticks < 1) throw new Error(`Invalid flush interval: ${ticks}`);
+        flushTicks = ticks;
+        if (flushRun !== null) {
+            system.clearRun(flushRun);
+            flushRun = system.runTimeout(flushBatch, flushTicks);
+        }
+    }
+
+    /**
+     * Sets how many keys timed writes save per tick
+     * @param {number} count - Keys per tick
+     */
+    function setWriteLimit(count) {
+        if (!Number.isInteger(count) || count < 1) throw new Error(`Invalid write limit: ${count}`);
+        writeLimit = count;
+    }
+
+    /**
+     * Counts the changed keys waiting to be written
+     * @returns {number} Number of keys
+     */
+    function pending() {
+        return dirty.size;
+    }
+
+    return { read, write, remove, keys, flush, setFlushInterval, setWriteLimit, pending };
+})();
+
+/**
+ * Maps block coordinates to machine ids.
+ * Entries are bucketed per chunk, each bucket is persisted as one record.
+ * Chunks without machines have no bucket, and probing them keeps nothing in memory.
+ */
+const LocationIndex = (() => {
+    function chunkKey(dim, chunkX, chunkZ) {
+        return `chunk:${dim}:${chunkX}:${chunkZ}`;
+    }
+
+    function bucketFor(dim, chunkX, chunkZ) {
+        return Storage.read(chunkKey(dim, chunkX, chunkZ)) ?? {};
+    }
+
+    function save(dim, chunkX, chunkZ, bucket) {
+        const key = chunkKey(dim, chunkX, chunkZ);
+        if (Object.keys(bucket).length) Storage.write(key, bucket);
+        else Storage.remove(key);
+    }
+
+    /**
+     * Gets the machine id stored at a location
+     * @param {Number} dim - Numeric dimension
+     * @param {{x:number, y:number, z:number}} loc - Block location
+     * @returns {string|null} Machine id or null
+     */
+    function get(dim, loc) {
+        const bucket = bucketFor(dim, Math.floor(loc.x / 16), Math.floor(loc.z / 16));
+        return bucket[`${loc.x}:${loc.y}:${loc.z}`] ?? null;
+    }
+
+    /**
+     * Stores a machine id at a location
+     * @param {Number} dim - Numeric dimension
+     * @param {{x:number, y:number, z:number}} loc - Block location
+     * @param {string} id - Machine id
+     */
+    function add(dim, loc, id) {
+        const chunkX = Math.floor(loc.x / 16);
+        const chunkZ = Math.floor(loc.z / 16);
+        const bucket = bucketFor(dim, chunkX, chunkZ);
+        bucket[`${loc.x}:${loc.y}:${loc.z}`] = id;
+        save(dim, chunkX, chunkZ, bucket);
+    }
+
+    /**
+     * Removes the entry at a location if it belongs to the given machine
+     * @param {Number} dim - Numeric dimension
+     * @param {{x:number, y:number, z:number}} loc - Block location
+     * @param {string} id - Machine id
+     */
+    function remove(dim, loc, id) {
+        const chunkX = Math.floor(loc.x / 16);
+        const chunkZ = Math.floor(loc.z / 16);
+        const bucket = bucketFor(dim, chunkX, chunkZ);
+        const key = `${loc.x}:${loc.y}:${loc.z}`;
+        if (bucket[key] !== id) return;
+        delete bucket[key];
+        save(dim, chunkX, chunkZ, bucket);
+    }
+
+    /**
+     * Lists the machine ids inside a chunk
+     * @param {Number} dim - Numeric dimension
+     * @param {number} chunkX - Chunk x coordinate
+     * @param {number} chunkZ - Chunk z coordinate
+     * @returns {string[]} Machine ids
+     */
+    function inChunk(dim, chunkX, chunkZ) {
+        return Object.values(bucketFor(dim, chunkX, chunkZ));
+    }
+
+    /**
+     * Lists the machine ids within a radius of a point
+     * @param {Number} dim - Numeric dimension
+     * @param {{x:number, y:number, z:number}} center - Center point
+     * @param {number} radius - Radius in blocks
+     * @returns {string[]} Machine ids
+     */
+    function inRadius(dim, center, radius) {
+        const ids = [];
+        const radiusSq = radius * radius;
+        for (let chunkX = Math.floor((center.x - radius) / 16); chunkX <= Math.floor((center.x + radius) / 16); chunkX++) {
+            for (let chunkZ = Math.floor((center.z - radius) / 16); chunkZ <= Math.floor((center.z + radius) / 16); chunkZ++) {
+                for (const [key, id] of Object.entries(bucketFor(dim, chunkX, chunkZ))) {
+                    const [x, y, z] = key.split(":").map(Number);
+                    const dx = x - center.x, dy = y - center.y, dz = z - center.z;
+                    if (dx * dx + dy * dy + dz * dz <= radiusSq) ids.push(id);
+                }
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * Recreates every bucket from the stored machine records
+     * Entity machines are not indexed
+     */
+    function rebuild() {
+        for (const key of Storage.keys("chunk")) Storage.remove(`chunk:${key}`);
+        for (const id of Storage.keys("machine")) {
+            const record = Storage.read(`machine:${id}`);
+            if (record && !record.entityId) add(record.dimension, record, record.id);
+        }
+    }
+
+    /**
+     * Removes entries whose machine has no record, is an entity or is stored somewhere else
+     * Yields after each chunk
+     * @returns {number} Number of entries removed
+     */
+    function* prune() {
+        let removed = 0;
+        for (const chunk of Storage.keys("chunk")) {
+            const [dim, chunkX, chunkZ] = chunk.split(":").map(Number);
+            const bucket = bucketFor(dim, chunkX, chunkZ);
+            let changed = false;
+            for (const [key, id] of Object.entries(bucket)) {
+                const record = Storage.read(`machine:${id}`);
+                if (record && !record.entityId && record.dimension === dim && `${record.x}:${record.y}:${record.z}` === key) continue;
+                delete bucket[key];
+                changed = true;
+                removed++;
+            }
+            if (changed) save(dim, chunkX, chunkZ, bucket);
+            yield;
+        }
+        return removed;
+    }
+
+    return { get, add, remove, inChunk, inRadius, rebuild, prune };
+})();
+
+/**
+ * Moves data written by older versions from the scoreboard into storage
+ * and removes the old objectives
+ */
+function migrateScoreboards() {
+    const registryObjective = "machine_registry";
+    const scoreboard = world.scoreboard;
+
+    const registry = scoreboard.getObjective(registryObjective);
+    if (registry) {
+        const types = new Map();
+        for (const participant of registry.getParticipants()) {
+            const name = participant.displayName;
+            const split = name.lastIndexOf(":");
+            if (split < 0) continue;
+            const id = name.slice(0, split);
+            const defaults = types.get(id) ?? { energyCost: 0, maxEnergy: 0, startEnergy: 0, transferRate: 50 };
+            defaults[name.slice(split + 1)] = registry.getScore(participant);
+            types.set(id, defaults);
+        }
+        for (const [id, defaults] of types) Storage.write(`type:${id}`, defaults);
+        scoreboard.removeObjective(registry);
+    }
+
+    const uuids = scoreboard.getObjective(uuidObj);
+    if (uuids) {
+        for (const participant of uuids.getParticipants()) {
+            Storage.write(`uuid:${participant.displayName}`, true);
+        }
+        scoreboard.removeObjective(uuids);
+    }
+
+    for (const obj of scoreboard.getObjectives()) {
+        try {
+            const x = obj.getScore("x");
+            const y = obj.getScore("y");
+            const z = obj.getScore("z");
+            const energy = obj.getScore("energy");
+            if (x === undefined || y === undefined || z === undefined || energy === undefined) continue;
+
+            const links = {};
+            for (const participant of obj.getParticipants()) {
+                if (participant.displayName.startsWith("link:")) {
+                    links[participant.displayName.slice(5)] = obj.getScore(participant);
+                }
+            }
+
+            Storage.write(`machine:${obj.id}`, {
+                id: obj.id,
+                typeId: undefined,
+                x, y, z,
+                dimension: obj.getScore("dimension") ?? 0,
+                energyCost: obj.getScore("energyCost") ?? 0,
+                maxEnergy: obj.getScore("maxEnergy") ?? 0,
+                energy,
+                transferRate: obj.getScore("transferRate") ?? 50,
+                links
+            });
+            Storage.write(`uuid:${obj.id}`, true);
+            scoreboard.removeObjective(obj);
+        } catch {}
+    }
+}
+
+const registrationOptions = ["energyCost", "maxEnergy", "startEnergy", "transferRate", "role", "generation", "distribution", "transferLoss", "buffers", "converter", "custom", "version", "migration", "autoMigrate", "faces"];
+
+/**
+ * Turns positional register arguments into registration options
+ * @param {Array} values - energyCost, maxEnergy, startEnergy, transferRate, role, generation
+ * @returns {RegistrationOptions} Options, leaving out undefined values
+ */
+function positionalOptions(values) {
+    const options = {};
+    values.slice(0, 6).forEach((value, i) => {
+        if (value !== undefined) options[registrationOptions[i]] = value;
+    });
+    return options;
+}
+
+/**
+ * Validates registration options and builds the stored type record
+ * @param {String} id - ID being registered
+ * @param {RegistrationOptions} options - Options to check
+ * @returns {Object} Type record
+ */
+function parseRegistration(id, options) {
+    if (typeof id !== "string" || !id) throw new Error(`Invalid machine ID: ${id}`);
+    if (!isPlainObject(options)) throw new Error(`Registration options for ${id} must be an object`);
+    for (const key of Object.keys(options)) {
+        if (!registrationOptions.includes(key)) throw new Error(`Unknown registration option for ${id}: ${key}`);
+    }
+
+    const { energyCost = 0, maxEnergy = 0, startEnergy = 0, transferRate = 50, role = MachineRole.STORAGE, generation = 0 } = options;
+    const defaults = {
+        energyCost: checkAmount(energyCost, `energyCost for ${id}`),
+        maxEnergy: checkAmount(maxEnergy, `maxEnergy for ${id}`),
+        startEnergy: checkAmount(startEnergy, `startEnergy for ${id}`),
+        transferRate: checkAmount(transferRate, `transferRate for ${id}`),
+        role,
+        generation: checkAmount(generation, `generation for ${id}`)
+    };
+    if (startEnergy > maxEnergy) throw new Error(`startEnergy for ${id} (${startEnergy}) is more than its maxEnergy (${maxEnergy})`);
+    if (!Object.values(MachineRole).includes(role)) throw new Error(`Invalid machine role for ${id}: ${role}`);
+
+    if (options.distribution !== undefined) defaults.distribution = parseDistribution(options.distribution);
+    if (options.transferLoss !== undefined) Object.assign(defaults, parseTransferLoss(options.transferLoss));
+    if (options.buffers !== undefined) defaults.buffers = parseBuffers(options.buffers);
+    if (options.converter !== undefined) defaults.converter = parseConverter(options.converter);
+    if (options.faces !== undefined) defaults.faces = parseFaces(options.faces);
+
+    const { version = 1, migration = MigrationPolicy.CLAMP_ENERGY, autoMigrate = true } = options;
+    if (!Number.isInteger(version) || version < 1) throw new Error(`Invalid version for ${id}: ${version}, expected a whole number of 1 or more`);
+    if (!Object.values(MigrationPolicy).includes(migration)) throw new Error(`Invalid migration policy for ${id}: ${migration}`);
+    if (typeof autoMigrate !== "boolean") throw new Error(`Invalid autoMigrate for ${id}: ${autoMigrate}`);
+    Object.assign(defaults, { version, migration, autoMigrate });
+    if (options.custom !== undefined) {
+        if (!isPlainObject(options.custom)) throw new Error(`Custom fields for ${id} must be an object`);
+        try {
+            defaults.custom = JSON.parse(JSON.stringify(options.custom));
+        } catch (error) {
+            throw new Error(`Custom fields for ${id} cannot be saved: ${error}`);
+        }
+    }
+    return defaults;
+}
+
+/**
+ * Saves a parsed registration, keeping the defaults of older versions
+ * Existing machines are migrated when the version changed and autoMigrate is on
+ * @param {String} id - ID being registered
+ * @param {Object} defaults - Type record from parseRegistration
+ */
+function saveRegistration(id, defaults) {
+    const previous = MachineRegistry.cache.get(id);
+    const previousVersion = previous?.version ?? 1;
+    const history = { ...previous?.history };
+    if (previous && previousVersion !== defaults.version) history[previousVersion] = migratedSettings(previous);
+    if (Object.keys(history).length) defaults.history = history;
+
+    Storage.write(`type:${id}`, defaults);
+    MachineRegistry.cache.set(id, defaults);
+    if (previous && previousVersion !== defaults.version && defaults.autoMigrate) MachineRegistry.migrate(id);
+}
+
+/**
+ * Picks the settings a migration updates from a type record
+ * @param {Object} type - Type record
+ * @returns {{energyCost: number, maxEnergy: number, transferRate: number, buffers: Object}} Settings
+ */
+function migratedSettings(type) {
+    const buffers = {};
+    for (const [resource, { max, transferRate, cost }] of Object.entries(type.buffers ?? {})) {
+        buffers[resource] = { max, transferRate, cost };
+    }
+    return { energyCost: type.energyCost, maxEnergy: type.maxEnergy, transferRate: type.transferRate, buffers };
+}
+
+/**
+ * Moves a stored machine record to the current version of its type and saves it
+ * Records without a version count as version 1, and settings are compared against that version's defaults
+ * @param {Object} record - Stored machine record
+ * @param {Object} type - Current type record
+ */
+function migrateRecord(record, type) {
+    const policy = type.migration ?? MigrationPolicy.CLAMP_ENERGY;
+    const reset = policy === MigrationPolicy.RESET;
+    const clamp = policy !== MigrationPolicy.KEEP_OVERRIDES;
+    const from = type.history?.[record.typeVersion ?? 1];
+    const to = migratedSettings(type);
+
+    // A setting still at the old default was never overridden, so it follows the type
+    const update = (target, old, current, fields) => {
+        for (const field of fields) {
+            if (reset || old?.[field] === undefined || target[field] === old[field]) target[field] = current[field];
+        }
+    };
+    update(record, from, to, ["energyCost", "maxEnergy", "transferRate"]);
+    if (clamp) record.energy = Math.min(record.energy, upgradedValue(record.maxEnergy, "maxEnergy", record.upgrades ?? []));
+    for (const [resource, buffer] of Object.entries(record.buffers ?? {})) {
+        if (!to.buffers[resource]) continue;
+        update(buffer, from?.buffers[resource], to.buffers[resource], ["max", "transferRate", "cost"]);
+        if (clamp) buffer.amount = Math.min(buffer.amount, buffer.max);
+    }
+    record.typeVersion = type.version ?? 1;
+    Storage.write(`machine:${record.id}`, record);
+
+    const machine = Machine.cache.get(cacheKey(record));
+    if (machine?.id !== record.id) return;
+    const previous = Object.fromEntries(machine.getResources().map(resource => [resource, machine.getAmount(resource)]));
+    applyRecord(machine, record);
+    for (const [resource, amount] of Object.entries(previous)) {
+        if (machine.getAmount(resource) !== amount) energyChanged(machine, amount, resource);
+    }
+}
+
+/**
+ * Checks that a setting is a finite number that is not negative
+ * @param {*} value - Value to check
+ * @param {String} name - Setting name for the error
+ * @returns {number} The value
+ */
+function checkAmount(value, name) {
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) throw new Error(`Invalid ${name}: ${typeof value === "string" ? `"${value}"` : value}, expected a number of 0 or more`);
+    return value;
+}
+
+/**
+ * Validates a distribution mode
+ * @param {*} mode - Value to check
+ * @returns {String} The DistributionMode value
+ */
+function parseDistribution(mode) {
+    if (!Object.values(DistributionMode).includes(mode)) throw new Error(`Invalid distribution mode: ${mode}`);
+    return mode;
+}
+
+/**
+ * Validates link range and transfer loss settings
+ * @param {{maxLinkRange?: number, lossModel?: String, loss?: number}} settings - Settings to check
+ * @returns {{maxLinkRange: number|null, lossModel: String, loss: number}} Stored fields, null range for unlimited
+ */
+function parseTransferLoss(settings) {
+    if (!isPlainObject(settings)) throw new Error("Transfer loss settings must be an object");
+    const { maxLinkRange = Infinity, lossModel = LossModel.NONE, loss = 0 } = settings;
+    if (!Object.values(LossModel).includes(lossModel)) throw new Error(`Invalid loss model: ${lossModel}`);
+    if (typeof maxLinkRange !== "number" || !(maxLinkRange >= 0)) throw new Error(`Invalid link range: ${maxLinkRange}`);
+    checkAmount(loss, "loss");
+    return { maxLinkRange: Number.isFinite(maxLinkRange) ? maxLinkRange : null, lossModel, loss };
+}
+
+/**
+ * Validates buffer declarations
+ * @param {Object<string, Object>} buffers - Buffer settings by resource name
+ * @returns {Object<string, {max: number, start: number, transferRate: number, cost: number, generation: number}>} Stored buffers
+ */
+function parseBuffers(buffers) {
+    if (!isPlainObject(buffers)) throw new Error("Buffers must be an object");
+    const parsed = {};
+    for (const [resource, settings] of Object.entries(buffers)) {
+        if (resource === "energy") throw new Error(`"energy" is the default buffer, set it with register`);
+        const { max = 0, start = 0, transferRate = 50, cost = 0, generation = 0 } = settings ?? {};
+        for (const [name, value] of Object.entries({ max, start, transferRate, cost, generation })) {
+            checkAmount(value, `${name} for buffer ${resource}`);
+        }
+        parsed[resource] = { max, start, transferRate, cost, generation };
+    }
+    return parsed;
+}
+
+/**
+ * Validates a conversion
+ * @param {{from: String, to: String, ratio?: number, rate?: number}} settings - Settings to check
+ * @returns {{from: String, to: String, ratio: number, rate: number|null}} Stored conversion, null rate for unlimited
+ */
+function parseConverter(settings) {
+    if (!isPlainObject(settings)) throw new Error("Converter settings must be an object");
+    const { from, to, ratio = 1, rate = Infinity } = settings;
+    if (typeof from !== "string" || typeof to !== "string" || from === to) throw new Error(`Invalid conversion: ${from} -> ${to}`);
+    if (typeof ratio !== "number" || !Number.isFinite(ratio) || ratio <= 0) throw new Error(`Invalid conversion ratio: ${ratio}`);
+    if (typeof rate !== "number" || !(rate > 0)) throw new Error(`Invalid conversion rate: ${rate}`);
+    return { from, to, ratio, rate: Number.isFinite(rate) ? rate : null };
+}
+
+/**
+ * Validates face settings
+ * @param {String|Object<string, String>} faces - A FaceMode for every face, or FaceMode values by Direction
+ * @returns {Object<string, String>} FaceMode values for all six directions, missing ones DISABLED
+ */
+function parseFaces(faces) {
+    if (typeof faces === "string") faces = Object.fromEntries(Object.keys(faceOffsets).map(face => [face, faces]));
+    if (!isPlainObject(faces)) throw new Error("Faces must be a FaceMode value or an object");
+    const parsed = {};
+    for (const face of Object.keys(faceOffsets)) {
+        const mode = faces[face] ?? FaceMode.DISABLED;
+        if (!Object.values(FaceMode).includes(mode)) throw new Error(`Invalid face mode for ${face}: ${mode}`);
+        parsed[face] = mode;
+    }
+    for (const face of Object.keys(faces)) {
+        if (!faceOffsets[face]) throw new Error(`Invalid face: ${face}`);
+    }
+    return parsed;
+}
+
+/**
+ * Builds the descriptor MachineRegistry.get returns
+ * Index and iterator access give [energyCost, maxEnergy, startEnergy, transferRate] like the old array
+ * @param {String} id - ID described
+ * @param {Object} [stored] - Type record, undefined if the ID is not registered
+ * @returns {MachineDescriptor} Frozen descriptor
+ */
+function describeType(id, stored) {
+    const { energyCost = 0, maxEnergy = 0, startEnergy = 0, transferRate = 50 } = stored ?? {};
+    const descriptor = {
+        id,
+        registered: stored !== undefined,
+        energyCost,
+        maxEnergy,
+        startEnergy,
+        transferRate,
+        role: stored?.role ?? MachineRole.STORAGE,
+        generation: stored?.generation ?? 0,
+        distribution: stored?.distribution ?? DistributionMode.PRIORITY,
+        maxLinkRange: stored?.maxLinkRange ?? Infinity,
+        lossModel: stored?.lossModel ?? LossModel.NONE,
+        loss: stored?.loss ?? 0,
+        buffers: JSON.parse(JSON.stringify(stored?.buffers ?? {})),
+        converter: stored?.converter ? { ...stored.converter, rate: stored.converter.rate ?? Infinity } : null,
+        custom: JSON.parse(JSON.stringify(stored?.custom ?? {})),
+        version: stored?.version ?? 1,
+        migration: stored?.migration ?? MigrationPolicy.CLAMP_ENERGY,
+        autoMigrate: stored?.autoMigrate ?? true,
+        faces: { ...parseFaces(FaceMode.DISABLED), ...stored?.faces }
+    };
+
+    const legacy = [energyCost, maxEnergy, startEnergy, transferRate];
+    legacy.forEach((value, i) => Object.defineProperty(descriptor, i, { value }));
+    Object.defineProperty(descriptor, Symbol.iterator, { value: () => legacy[Symbol.iterator]() });
+    return Object.freeze(descriptor);
+}
+
+/**
+ * Checks for an object that is not null or an array
+ * @param {*} value - Value to check
+ * @returns True/False
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Applies changes to a stored machine record
+ * @param {string} id - Machine id
+ * @param {Object} changes - Fields to overwrite
+ */
+function updateRecord(id, changes) {
+    const record = Storage.read(`machine:${id}`);
+    if (!record) return;
+    Storage.write(`machine:${id}`, Object.assign(record, changes));
+}
+
+/**
+ * Copies a stored machine record onto a Machine instance
+ * @param {Machine} machine - Machine to fill
+ * @param {Object} record - Stored machine record
+ * @returns {Machine} The filled machine
+ */
+function applyRecord(machine, record) {
+    machine.id = record.id;
+    machine.typeId = record.typeId;
+    machine.dim = record.dimension;
+    machine.upgrades = [...(record.upgrades ?? [])];
+    machine.faces = record.faces ?? null;
+    machine.suspendedAt = record.suspendedAt ?? null;
+    machine.energyCost = upgradedValue(record.energyCost, "energyCost", machine.upgrades);
+    machine.maxEnergy = upgradedValue(record.maxEnergy, "maxEnergy", machine.upgrades);
+    machine.currentEnergy = record.energy;
+    machine.transferRate = upgradedValue(record.transferRate, "transferRate", machine.upgrades);
+    machine.distribution = record.distribution ?? null;
+    machine.network = record.network ?? null;
+    machine.idle = record.idle === true;
+    machine.entityId = record.entityId ?? null;
+    machine.buffers = buildBuffers(record.typeId, record.buffers);
+    return machine;
+}
+
+const upgradeStats = ["maxEnergy", "transferRate", "energyCost"];
+
+/**
+ * Applies installed upgrades to a base value
+ * Every ADD is applied before every MULTIPLY, unregistered upgrades are skipped
+ * @param {number} base - Value before upgrades
+ * @param {String} stat - "maxEnergy", "transferRate" or "energyCost"
+ * @param {String[]} upgrades - Installed upgrade names
+ * @returns {number} Value after upgrades, never below 0
+ */
+function upgradedValue(base, stat, upgrades) {
+    let added = 0;
+    let multiplier = 1;
+    for (const name of upgrades) {
+        for (const modifier of MachineRegistry.getUpgrade(name)?.modifiers ?? []) {
+            if (modifier.stat !== stat) continue;
+            if (modifier.operation === UpgradeOperation.ADD) added += modifier.value;
+            else multiplier *= modifier.value;
+        }
+    }
+    return Math.max(0, roundEnergy((base + added) * multiplier));
+}
+
+/**
+ * Recomputes a machine's upgraded values from its stored base values
+ * Energy above the new maxEnergy is removed
+ * @param {Machine} machine - Machine to refresh
+ */
+function refreshUpgrades(machine) {
+    const record = Storage.read(`machine:${machine.id}`);
+    if (!record) return;
+    machine.energyCost = upgradedValue(record.energyCost, "energyCost", machine.upgrades);
+    machine.maxEnergy = upgradedValue(record.maxEnergy, "maxEnergy", machine.upgrades);
+    machine.transferRate = upgradedValue(record.transferRate, "transferRate", machine.upgrades);
+    if (machine.currentEnergy > machine.maxEnergy) machine.removeEnergy(machine.currentEnergy - machine.maxEnergy);
+}
+
+/**
+ * Builds a machine's extra buffers from its stored ones
+ * Buffers its type declares but the record lacks start at their registered values
+ * @param {string} typeId - Machine type identifier
+ * @param {Object} [stored] - Buffers saved with the machine
+ * @returns {Object<string, {amount: number, max: number, transferRate: number, cost: number}>} Buffers by resource name
+ */
+function buildBuffers(typeId, stored = {}) {
+    const buffers = {};
+    for (const [resource, buffer] of Object.entries(stored)) buffers[resource] = { ...buffer };
+    for (const [resource, settings] of Object.entries(MachineRegistry.getBuffers(typeId))) {
+        if (buffers[resource]) continue;
+        buffers[resource] = { amount: settings.start, max: settings.max, transferRate: settings.transferRate, cost: settings.cost };
+    }
+    return buffers;
+}
+
+/**
+ * Sets the amount a machine holds of a resource and saves it
+ * @param {Machine} machine - Machine to change
+ * @param {String} resource - Resource name
+ * @param {number} amount - New amount
+ */
+function setAmount(machine, resource, amount) {
+    if (resource === "energy") {
+        machine.currentEnergy = amount;
+        updateRecord(machine.id, { energy: amount });
+        return;
+    }
+    machine.buffers[resource].amount = amount;
+    updateRecord(machine.id, { buffers: machine.buffers });
+}
+
+/**
+ * Pays a machine's run cost from energy and every buffer with a cost
+ * Nothing is paid unless every cost can be
+ * @param {Machine} machine - Machine to run
+ * @returns {boolean} True if every cost was paid
+ */
+function runCosts(machine) {
+    const resources = machine.getResources().filter(resource => resource === "energy" || machine.getCost(resource) > 0);
+    const short = resources.find(resource => machine.getAmount(resource) < machine.getCost(resource));
+    if (short) return machine.run(short);
+    return resources.every(resource => machine.run(resource));
+}
+
+/**
+ * Fills in and saves a new machine
+ * Registry defaults win over the fallback values
+ * @param {Machine} machine - Machine to fill
+ * @param {string} typeId - Machine type identifier
+ * @param {{x:number, y:number, z:number}} location - Block location
+ * @param {Number} dim - Numeric dimension
+ * @param {Object} fallback - energyCost, maxEnergy, currentEnergy and transferRate to use for unregistered types
+ * @param {string} [entityId] - Id of the entity the machine is bound to
+ */
+function initMachine(machine, typeId, location, dim, fallback, entityId) {
+    machine.id = makeUUID();
+    machine.typeId = typeId;
+
+    const type = MachineRegistry.has(typeId) ? MachineRegistry.get(typeId) : null;
+    machine.energyCost = type?.energyCost ?? fallback.energyCost ?? 0;
+    machine.maxEnergy = type?.maxEnergy ?? fallback.maxEnergy ?? 0;
+    machine.currentEnergy = type?.startEnergy ?? fallback.currentEnergy ?? 0;
+    machine.transferRate = type?.transferRate ?? fallback.transferRate ?? 50;
+    machine.distribution = null;
+    machine.network = null;
+    machine.idle = false;
+    machine.entityId = entityId ?? null;
+    machine.buffers = buildBuffers(typeId);
+    machine.upgrades = [];
+    machine.faces = null;
+    machine.suspendedAt = null;
+    machine.dim = dim;
+
+    const record = {
+        id: machine.id,
+        typeId,
+        x: location.x,
+        y: location.y,
+        z: location.z,
+        dimension: dim,
+        energyCost: machine.energyCost,
+        maxEnergy: machine.maxEnergy,
+        energy: machine.currentEnergy,
+        transferRate: machine.transferRate,
+        links: {}
+    };
+    if (entityId) record.entityId = entityId;
+    if (type) record.typeVersion = type.version;
+    if (Object.keys(machine.buffers).length) record.buffers = machine.buffers;
+    Storage.write(`machine:${machine.id}`, record);
+
+    if (!entityId) LocationIndex.add(dim, location, machine.id);
+    Machine.cache.set(cacheKey(record), machine);
+    MachineEvents.machineCreated.fire({ machine });
+}
+
+const faceOffsets = {
+    [Direction.Up]: { x: 0, y: 1, z: 0 },
+    [Direction.Down]: { x: 0, y: -1, z: 0 },
+    [Direction.North]: { x: 0, y: 0, z: -1 },
+    [Direction.South]: { x: 0, y: 0, z: 1 },
+    [Direction.East]: { x: 1, y: 0, z: 0 },
+    [Direction.West]: { x: -1, y: 0, z: 0 }
+};
+const oppositeFaces = {
+    [Direction.Up]: Direction.Down,
+    [Direction.Down]: Direction.Up,
+    [Direction.North]: Direction.South,
+    [Direction.South]: Direction.North,
+    [Direction.East]: Direction.West,
+    [Direction.West]: Direction.East
+};
+const horizontalFaces = [Direction.North, Direction.East, Direction.South, Direction.West];
+const sendingModes = [FaceMode.OUTPUT, FaceMode.BOTH];
+const receivingModes = [FaceMode.INPUT, FaceMode.BOTH];
+
+/**
+ * How many clockwise quarter turns a block is rotated from north
+ * @param {Block|undefined} block - Block to check
+ * @returns {number} 0 to 3, 0 for blocks without a minecraft:cardinal_direction state
+ */
+function blockTurn(block) {
+    let direction;
+    try {
+        direction = block?.permutation.getState("minecraft:cardinal_direction");
+    } catch {}
+    return Math.max(0, ["north", "east", "south", "west"].indexOf(direction));
+}
+
+/**
+ * Turns a face clockwise around the vertical axis
+ * @param {String} face - A Direction value
+ * @param {number} turns - Quarter turns, negative turns anticlockwise
+ * @returns {String} The turned Direction value, Up and Down stay the same
+ */
+function turnFace(face, turns) {
+    const index = horizontalFaces.indexOf(face);
+    if (index === -1) return face;
+    return horizontalFaces[(((index + turns) % 4) + 4) % 4];
+}
+
+/**
+ * Builds the Machine.cache key for a stored record
+ * Entity machines are keyed by id since they move
+ * @param {Object} record - Stored machine record
+ * @returns {String} Cache key
+ */
+function cacheKey(record) {
+    return record.entityId ? `entity:${record.id}` : locationKey(record.dimension, record);
+}
+
+/**
+ * Floors a location to block coordinates
+ * @param {{x:number, y:number, z:number}} loc - Location
+ * @returns {{x:number, y:number, z:number}} Block location
+ */
+function floorLocation(loc) {
+    return {x: Math.floor(loc.x), y: Math.floor(loc.y), z: Math.floor(loc.z)};
+}
+
+// Ids of the machines catching up, transfers stay inside this group while it is set
+let catchUpGroup = null;
+
+/**
+ * Collects the machines a source sends to through another machine
+ * @param {Machine} source - Machine sending the energy
+ * @param {Machine} via - Machine whose links and peers are followed
+ * @param {Set<string>} visited - Machine ids already collected or skipped
+ * @param {number} [inherited] - Priority of the link into a transmitter
+ * @param {String} [resource="energy"] - Resource being sent, targets that do not hold it are skipped
+ * @returns {{machine: Machine, priority: number}[]} Array of links
+ */
+function collectTargets(source, via, visited, inherited, resource = "energy") {
+    const candidates = via.getLinks();
+    const linkedIds = new Set(candidates.map(link => link.machine.id));
+    for (const peer of [...via.getNetworkPeers(), ...via.getFaceNeighbors()]) {
+        if (linkedIds.has(peer.id)) continue;
+        linkedIds.add(peer.id);
+        candidates.push({ machine: peer, priority: 1, peer: true });
+    }
+
+    const sourceIsStorage = source.getRole() === MachineRole.STORAGE;
+    const fill = fillRatio(source, resource);
+    const targets = [];
+    for (const link of candidates) {
+        const target = link.machine;
+        if (visited.has(target.id)) continue;
+        visited.add(target.id);
+        if (catchUpGroup ? !catchUpGroup.has(target.id) : target.suspendedAt !== null) continue;
+
+        const role = target.getRole();
+        const priority = inherited ?? link.priority;
+        if (role === MachineRole.GENERATOR) continue;
+        if (role === MachineRole.TRANSMITTER) {
+            targets.push(...collectTargets(source, target, visited, priority, resource));
+            continue;
+        }
+        if (!target.hasResource(resource)) continue;
+        if (link.peer && sourceIsStorage && role === MachineRole.STORAGE && fillRatio(target, resource) >= fill) continue;
+        targets.push({ machine: target, priority });
+    }
+    return targets;
+}
+
+/**
+ * Fires energyChanged, and machineFull or machineEmpty when the machine just became full or empty
+ * @param {Machine} machine - Machine whose energy changed
+ * @param {number} previousEnergy - Energy before the change
+ * @param {String} [resource="energy"] - Resource that changed
+ */
+function energyChanged(machine, previousEnergy, resource = "energy") {
+    const currentEnergy = machine.getAmount(resource);
+    const capacity = machine.getCapacity(resource);
+    MachineEvents.energyChanged.fire({ machine, resource, previousEnergy, currentEnergy });
+    if (currentEnergy >= capacity && previousEnergy < capacity) {
+        MachineEvents.machineFull.fire({ machine, resource });
+    }
+    if (currentEnergy <= 0 && previousEnergy > 0) {
+        MachineEvents.machineEmpty.fire({ machine, resource });
+    }
+}
+
+/**
+ * How full a machine is, from 0 to 1
+ * @param {Machine} machine - Machine to check
+ * @param {String} [resource="energy"] - Resource to check
+ * @returns {number} Fill ratio, 1 for machines without capacity
+ */
+function fillRatio(machine, resource = "energy") {
+    const capacity = machine.getCapacity(resource);
+    return capacity > 0 ? machine.getAmount(resource) / capacity : 1;
+}
+
+/**
+ * Splits a budget between links by weight
+ * @param {{machine: Machine, priority: number}[]} links - Links to share between
+ * @param {number} budget - Amount to split
+ * @param {(link) => number} weightOf - Weight of a link
+ * @returns {[Object, number][]} Pairs of link and share
+ */
+function splitBudget(links, budget, weightOf) {
+    let totalWeight = links.reduce((sum, link) => sum + weightOf(link), 0);
+    const weights = links.map(link => totalWeight > 0 ? weightOf(link) : 1);
+    if (totalWeight <= 0) totalWeight = links.length;
+
+    return links.map((link, i) => [link, roundEnergy(budget * weights[i] / totalWeight)]);
+}
+
+/**
+ * Rounds an energy amount to 6 decimal places
+ * Keeps repeated fractional transfers from drifting (0.1 + 0.2 stays 0.3)
+ * @param {number} value - Amount to round
+ * @returns {number} Rounded amount
+ */
+function roundEnergy(value) {
+    if (!Number.isFinite(value) || Math.abs(value) >= 1e9) return value;
+    return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Builds the Machine.cache key for a block location
+ * @param {Number} dim - Numeric dimension
+ * @param {{x:number, y:number, z:number}} loc - Block location
+ * @returns {String} Cache key
+ */
+function locationKey(dim, loc) {
+    return `${dim}:${loc.x}:${loc.y}:${loc.z}`;
+}
+
+const uuidObj = "MachineUUIDs"
+function makeUUID() {
+    let uuid;
+
+    do {
+        uuid = "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, c => {
+            const r = (Math.random() * 16) | 0;
+            const v = c === "x" ? r : (r & 0x3) | 0x8;
+            return v.toString(16);
+        });
+    } while (Storage.read(`uuid:${uuid}`) !== undefined);
+
+    Storage.write(`uuid:${uuid}`, true);
+
+    return uuid;
+}
+
+function freeUUID(uuid) {
+    Storage.remove(`uuid:${uuid}`);
 }
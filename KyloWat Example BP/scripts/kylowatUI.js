@@ -0,0 +1,135 @@
+import { world, PlayerPermissionLevel } from "@minecraft/server"
+import { ActionFormData, ModalFormData } from "@minecraft/server-ui"
+import { Machine, MachineRegistry, EnergyUnits } from "./kylowatAPI"
+
+/**
+ * Inspection and configuration form for machines.
+ * Kept apart from kylowatAPI.js so packs without @minecraft/server-ui can still use the API.
+ */
+export const MachineUI = (() => {
+    let enabled = false;
+    let requireSneak = false;
+    let canEdit = player => player.playerPermissionLevel === PlayerPermissionLevel.Operator;
+
+    world.afterEvents.playerInteractWithBlock.subscribe(ev => {
+        if (!enabled || !ev.isFirstEvent) return;
+        if (requireSneak && !ev.player.isSneaking) return;
+        if (!MachineRegistry.has(ev.block.typeId)) return;
+        const id = Machine.findIdByLocation(ev.block.location, ev.block.dimension.id);
+        if (id) show(ev.player, Machine.reconstructFromId(id)).catch(error => console.warn(`[KyloWat] Machine form failed: ${error}`));
+    });
+
+    world.afterEvents.playerInteractWithEntity.subscribe(ev => {
+        if (!enabled) return;
+        if (requireSneak && !ev.player.isSneaking) return;
+        if (!MachineRegistry.has(ev.target.typeId)) return;
+        const machine = Machine.fromEntity(ev.target);
+        if (machine) show(ev.player, machine).catch(error => console.warn(`[KyloWat] Machine form failed: ${error}`));
+    });
+
+    /**
+     * Opens the form when players interact with machines
+     * @param {Object} [options]
+     * @param {boolean} [options.requireSneak=false] - Only open while sneaking
+     * @param {(player: Player, machine: Machine) => boolean} [options.canEdit] - Who may change settings, operators by default
+     */
+    function enable(options = {}) {
+        enabled = true;
+        requireSneak = options.requireSneak === true;
+        if (typeof options.canEdit === "function") canEdit = options.canEdit;
+    }
+
+    /**
+     * Stops opening the form on interaction
+     */
+    function disable() {
+        enabled = false;
+    }
+
+    /**
+     * Shows a machine's information to a player
+     * Players allowed to edit get a button to configure it
+     * @param {Player} player - Player to show the form to
+     * @param {Machine} machine - Machine to show
+     */
+    async function show(player, machine) {
+        if (!machine) return;
+        const links = machine.getLinks();
+        const editable = canEdit(player, machine);
+
+        const lines = [
+            `§bType: §r${machine.typeId ?? "unknown"}`,
+            `§bEnergy: §r${EnergyUnits.format(machine.currentEnergy)}/${EnergyUnits.format(machine.maxEnergy)}`,
+            `§bCost: §r${EnergyUnits.format(machine.energyCost)}`,
+            `§bTransfer rate: §r${EnergyUnits.format(machine.transferRate)}`
+        ];
+        for (const resource of machine.getResources().slice(1)) {
+            lines.push(`§b${resource}: §r${EnergyUnits.format(machine.getAmount(resource))}/${EnergyUnits.format(machine.getCapacity(resource))}`);
+        }
+        if (machine.upgrades.length) lines.push(`§bUpgrades: §r${machine.upgrades.join(", ")}`);
+        lines.push(`§bLinks: §r${links.length ? "" : "none"}`);
+        for (const { machine: target, priority } of links) {
+            lines.push(` - ${describe(target)} §7priority ${priority}`);
+        }
+
+        const form = new ActionFormData()
+            .title("Machine")
+            .body(lines.join("\n"));
+        if (editable) form.button("Configure");
+        form.button("Close");
+
+        const response = await form.show(player);
+        if (response.canceled || !editable || response.selection !== 0) return;
+        await configure(player, machine);
+    }
+
+    /**
+     * Shows the settings form and applies the changes
+     * @param {Player} player - Player to show the form to
+     * @param {Machine} machine - Machine to configure
+     */
+    async function configure(player, machine) {
+        const links = machine.getLinks();
+        // The stored rate is before upgrades, setTransferRate applies them again
+        const baseRate = machine.get("transferRate") ?? machine.transferRate;
+        const form = new ModalFormData()
+            .title("Configure Machine")
+            .textField("Transfer rate", "0 or more", { defaultValue: `${baseRate}` });
+        for (const { machine: target, priority } of links) {
+            form.textField(`Priority: ${describe(target)}`, "Priority", { defaultValue: `${priority}` });
+            form.toggle("Remove link", { defaultValue: false });
+        }
+
+        const response = await form.show(player);
+        if (response.canceled || !response.formValues) return;
+        const [rate, ...linkValues] = response.formValues;
+
+        const errors = [];
+        const newRate = Number(rate);
+        if (Number.isFinite(newRate) && newRate >= 0) {
+            if (newRate !== baseRate) machine.setTransferRate(newRate);
+        } else {
+            errors.push(`Invalid transfer rate: ${rate}`);
+        }
+
+        links.forEach(({ machine: target, priority }, i) => {
+            const newPriority = Number(linkValues[i * 2]);
+            if (linkValues[i * 2 + 1] === true) {
+                machine.unlinkMachine(target);
+            } else if (!Number.isFinite(newPriority)) {
+                errors.push(`Invalid priority for ${describe(target)}: ${linkValues[i * 2]}`);
+            } else if (newPriority !== priority && !machine.linkMachine(target, newPriority)) {
+                errors.push(`${describe(target)} is out of link range`);
+            }
+        });
+
+        player.sendMessage(errors.length ? `§c${errors.join("\n")}` : "§aMachine updated");
+    }
+
+    function describe(machine) {
+        const loc = machine.location;
+        return `${machine.typeId ?? "unknown"} (${loc.x} ${loc.y} ${loc.z})`;
+    }
+
+    return { enable, disable, show };
+})();
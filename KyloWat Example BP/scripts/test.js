@@ -1,11 +1,12 @@
 import { world, system } from "@minecraft/server"
 import * as kylowat from "./kylowatAPI";
+import { MachineUI } from "./kylowatUI";
 
 world.beforeEvents.playerInteractWithBlock.subscribe(ev => {
     if (ev.isFirstEvent){
         system.run(() => {
             if (kylowat.MachineRegistry.has(ev.block.typeId)){
-                // let machine = new kylowat.Machine(ev.block.typeId, ev.block.location) will instead grab an existing machine if one exists at this location
+                // let machine = new kylowat.Machine(ev.block.typeId, ev.block.location, ev.block.dimension.id) will instead grab an existing machine if one exists at this location
                 let id = kylowat.Machine.findIdByLocation(ev.block.location, ev.block.dimension.id)
                 if(id){
                     let machine = kylowat.Machine.reconstructFromId(id)
@@ -28,4 +29,5 @@ world.afterEvents.worldLoad.subscribe(ev => {
     kylowat.MachineRegistry.register("minecraft:dirt", 1, 30, 0, 1)
     kylowat.MachineRegistry.register("minecraft:creeper", 1, 30, 0, 1)
     kylowat.EnergySystem.start(10)
+    MachineUI.enable({ requireSneak: true })
 })
\ No newline at end of file